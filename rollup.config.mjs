@@ -27,7 +27,10 @@ const plugins = [resolve({ preferBuiltins: true }), json(), commonjs(), preserve
 export default [
   // CJS
   {
-    external: [...Object.keys(pkg.dependencies || {})],
+    external: [
+      ...Object.keys(pkg.dependencies || {}),
+      ...Object.keys(pkg.optionalDependencies || {}),
+    ],
     input: inputFiles,
     output: {
       dir: 'dist',
@@ -0,0 +1,356 @@
+import { open, Database } from 'sqlite';
+import { isJsonObject } from 'tiny-essentials';
+import { pg, sqlite3 } from './Modules.mjs';
+
+/** @typedef {import('./PuddySqlEngine.mjs').EngineAdapter} EngineAdapter */
+/** @typedef {import('./Errors.mjs').ParsedSqlError} ParsedSqlError */
+/** @typedef {import('pg').Pool} PgPool */
+/** @typedef {import('pg').PoolClient} PgPoolClient */
+/** @typedef {import('sqlite').Database} SqliteDb */
+/** @typedef {import('better-sqlite3').Database} BetterSqliteDb */
+/** @typedef {import('better-sqlite3').Options} BetterSqliteOptions */
+
+/**
+ * PostgreSQL error codes that mean the connection is not available.
+ * @type {string[]}
+ */
+const pgConnectionCodes = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ETIMEDOUT',
+  'EPIPE',
+  '28P01',
+  '3D000',
+  '08006',
+  '08001',
+  '08004',
+  '53300',
+  '57P01',
+];
+
+/**
+ * Classifies the transient errors of SQLite (`SQLITE_BUSY` and `SQLITE_LOCKED`, including extended codes).
+ *
+ * @param {any} err
+ * @returns {import('./PuddySqlEngine.mjs').TransientErrorClass|null}
+ */
+const getSqliteErrorClass = (err) => {
+  const code = typeof err.code === 'string' ? err.code : '';
+  if (code.startsWith('SQLITE_BUSY')) return 'busy';
+  if (code.startsWith('SQLITE_LOCKED')) return 'locked';
+  return null;
+};
+
+/**
+ * Finds the error type of a SQLite error.
+ *
+ * SQLite has no constraint fields, so they are read from the message
+ * (e.g. `UNIQUE constraint failed: posts.id, posts.lang`).
+ *
+ * @param {any} err
+ * @returns {ParsedSqlError|null}
+ */
+const parseSqliteError = (err) => {
+  /** @type {string} */
+  const code = typeof err.code === 'string' ? err.code : '';
+  /** @type {string} */
+  const message = typeof err.message === 'string' ? err.message : '';
+
+  if (code.startsWith('SQLITE_CONSTRAINT')) {
+    const match = message.match(
+      /(UNIQUE|NOT NULL|CHECK|FOREIGN KEY) constraint failed(?:: (.+))?$/,
+    );
+    if (!match) return null;
+    const [, kind, detail = ''] = match;
+    if (kind === 'FOREIGN KEY') return { type: 'foreignKey' };
+    if (kind === 'CHECK') return { type: 'check', constraint: detail || null };
+
+    const type = kind === 'UNIQUE' ? 'unique' : 'notNull';
+    // Unique expression indexes: "index 'name'"
+    const index = detail.match(/^index '(.+)'$/);
+    if (index) return { type, constraint: index[1] };
+    const targets = detail.split(',').map((item) => item.trim());
+    return {
+      type,
+      table: targets[0].includes('.') ? targets[0].slice(0, targets[0].lastIndexOf('.')) : null,
+      columns: targets.map((item) => item.slice(item.lastIndexOf('.') + 1)).filter(Boolean),
+    };
+  }
+
+  if (code.startsWith('SQLITE_BUSY')) return { type: 'timeout' };
+  if (code === 'SQLITE_CANTOPEN' || message.includes('SQLITE_CANTOPEN'))
+    return { type: 'connection' };
+  if (/syntax error|incomplete input|unrecognized token/.test(message)) return { type: 'syntax' };
+  return null;
+};
+
+/**
+ * Built-in adapter for SQLite3 (using the `sqlite` wrapper over `sqlite3`).
+ *
+ * - `connect(filePath)` opens a database file (`:memory:` by default). The config can also be
+ *   `{ filePath, mode }`, where `mode` is a combination of the `sqlite3.OPEN_*` flags.
+ * - The database has a single connection, so transactions are queued.
+ *
+ * @type {EngineAdapter}
+ */
+export const sqlite3Adapter = {
+  dialect: 'sqlite3',
+  resultCountKey: 'changes',
+
+  /** @param {string|{ filePath?: string, mode?: number }} [config=':memory:'] */
+  connect: (config = ':memory:') => {
+    const { filePath = ':memory:', mode } =
+      typeof config === 'string' ? { filePath: config } : config;
+    return open({ filename: filePath, mode, driver: sqlite3.Database });
+  },
+
+  isDb: (db) => db instanceof Database,
+
+  /** @param {SqliteDb} db */
+  all: (db, query, params) => db.all(query, params),
+
+  /** @param {SqliteDb} db */
+  get: (db, query, params) => db.get(query, params),
+
+  /** @param {SqliteDb} db */
+  run: (db, query, params) => db.run(query, params),
+
+  /** @param {SqliteDb} db */
+  close: (db) => db.close(),
+
+  isConnectionError: (err) =>
+    typeof err.message === 'string' && err.message.includes('SQLITE_CANTOPEN'),
+
+  getErrorClass: getSqliteErrorClass,
+
+  parseError: parseSqliteError,
+};
+
+/**
+ * Built-in adapter for PostgreSQL (using a `pg` Pool).
+ *
+ * - `connect(config)` creates a new Pool and checks that a connection can be opened.
+ * - Transactions check out a dedicated client from the pool.
+ * - `ping()` checks out and releases a client, so the reconnect policy can wait for the server.
+ *
+ * @type {EngineAdapter}
+ */
+export const postgreAdapter = {
+  dialect: 'postgre',
+  resultCountKey: 'rowCount',
+
+  /** @param {import('pg').PoolConfig} config */
+  connect: async (config) => {
+    const pool = new pg.Pool(config);
+    try {
+      const client = await pool.connect();
+      client.release();
+    } catch (err) {
+      await pool.end().catch(() => {});
+      throw err;
+    }
+    return pool;
+  },
+
+  isDb: (db) => db instanceof pg.Pool,
+
+  /** @param {PgPool|PgPoolClient} db */
+  all: async (db, query, params) => {
+    const res = await db.query(query, params);
+    return isJsonObject(res) && Array.isArray(res.rows) ? res.rows : null;
+  },
+
+  /** @param {PgPool|PgPoolClient} db */
+  get: async (db, query, params) => {
+    const res = await db.query(query, params);
+    return isJsonObject(res) && Array.isArray(res.rows) ? res.rows[0] : null;
+  },
+
+  /** @param {PgPool|PgPoolClient} db */
+  run: (db, query, params) => db.query(query, params),
+
+  /** @param {PgPool} db */
+  close: (db) => db.end(),
+
+  /** @param {PgPool} db */
+  acquire: async (db) => {
+    const client = await db.connect();
+    return { db: client, release: (err) => client.release(err) };
+  },
+
+  /** @param {PgPool} db */
+  ping: async (db) => {
+    const client = await db.connect();
+    client.release();
+  },
+
+  /** @param {PgPool} db */
+  listen: (db, onError) => {
+    db.on('error', onError);
+  },
+
+  // @ts-ignore
+  isConnectionError: (err) => pgConnectionCodes.includes(err.code),
+
+  getErrorClass: (err) => {
+    if (err.code === '40001') return 'serialization';
+    if (err.code === '40P01') return 'deadlock';
+    if (err.code === '55P03') return 'locked';
+    return null;
+  },
+
+  parseError: (err) => {
+    // e.g. "Key (email)=(pudding@example.com) already exists."
+    const key = typeof err.detail === 'string' ? err.detail.match(/^Key \((.+?)\)=/) : null;
+    const keyColumns = key
+      ? key[1].split(',').map((/** @type {string} */ item) => item.trim())
+      : [];
+    const table = typeof err.table === 'string' ? err.table : null;
+    const constraint = typeof err.constraint === 'string' ? err.constraint : null;
+
+    switch (err.code) {
+      case '23505':
+        return { type: 'unique', table, constraint, columns: keyColumns };
+      case '23503':
+        return { type: 'foreignKey', table, constraint, columns: keyColumns };
+      case '23502':
+        return { type: 'notNull', table, constraint, columns: err.column ? [err.column] : [] };
+      case '23514':
+        return { type: 'check', table, constraint };
+      case '42601':
+        return { type: 'syntax' };
+      case '57014':
+      case '55P03':
+        return { type: 'timeout', table };
+    }
+    if (pgConnectionCodes.includes(err.code)) return { type: 'connection' };
+    return null;
+  },
+};
+
+/**
+ * Matches the parts of a query where placeholders are read: string literals, quoted identifiers
+ * and comments are matched whole (and kept as they are), then `$n` and `?`.
+ */
+const sqlPlaceholderTokens =
+  /'(?:[^']|'')*'|"(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|--[^\n]*|\/\*[\s\S]*?\*\/|\$([0-9]+)|\?/g;
+
+/**
+ * Prepares a better-sqlite3 statement.
+ *
+ * better-sqlite3 reads `$1` as a named parameter, so every placeholder is converted to `?`
+ * and the values are reordered. Like SQLite, a bare `?` takes the index after the largest one used so far
+ * (e.g. `LIMIT ? OFFSET ?` after `$1, $2`), while text inside quotes and comments is kept as it is.
+ * Values it cannot bind are converted the same way the `sqlite3` driver does (booleans to `1`/`0`, dates to milliseconds and `undefined` to `null`).
+ *
+ * @param {BetterSqliteDb} db
+ * @param {string} query
+ * @param {any[]} params
+ * @returns {{ stmt: import('better-sqlite3').Statement, values: any[] }}
+ */
+const prepareBetterSqlite3 = (db, query, params) => {
+  /** @type {any[]} */
+  const values = [];
+  let lastIndex = 0;
+  const sql = query.replace(sqlPlaceholderTokens, (token, numStr) => {
+    if (token !== '?' && typeof numStr !== 'string') return token;
+    const index = typeof numStr === 'string' ? parseInt(numStr, 10) : lastIndex + 1;
+    if (index > lastIndex) lastIndex = index;
+
+    const value = params[index - 1];
+    values.push(
+      typeof value === 'boolean'
+        ? Number(value)
+        : value instanceof Date
+          ? value.getTime()
+          : typeof value === 'undefined'
+            ? null
+            : value,
+    );
+    return '?';
+  });
+  return { stmt: db.prepare(sql), values };
+};
+
+/**
+ * Built-in adapter for better-sqlite3 (optional dependency).
+ *
+ * - `connect({ filePath, options })` opens a database file (`:memory:` by default).
+ * - The driver is synchronous, but the adapter keeps the same async contract as the other engines.
+ * - `run()` returns `{ changes, lastID, lastInsertRowid }`, matching the `sqlite3` results.
+ * - The database has a single connection, so transactions are queued.
+ * - `connect()` defines the `regexp()` function used by the `REGEXP` operator (JavaScript regular expressions).
+ *
+ * @type {EngineAdapter}
+ */
+export const betterSqlite3Adapter = {
+  dialect: 'sqlite3',
+  resultCountKey: 'changes',
+  regexp: true,
+
+  /** @param {{ filePath?: string, options?: BetterSqliteOptions }} [config] */
+  connect: async ({ filePath = ':memory:', options = {} } = {}) => {
+    const { default: BetterSqlite3 } = await import('better-sqlite3');
+    const db = new BetterSqlite3(filePath, options);
+    // `value REGEXP pattern` calls regexp(pattern, value), which SQLite3 does not define.
+    // The function runs once per row, so the last compiled pattern is reused.
+    /** @type {{ source: string, regex: RegExp }|null} */
+    let compiled = null;
+    db.function('regexp', { deterministic: true }, (pattern, value) => {
+      if (pattern === null || value === null) return null;
+      const source = String(pattern);
+      if (!compiled || compiled.source !== source) compiled = { source, regex: new RegExp(source) };
+      return compiled.regex.test(String(value)) ? 1 : 0;
+    });
+    return db;
+  },
+
+  isDb: (db) =>
+    typeof db === 'object' &&
+    db !== null &&
+    typeof db.prepare === 'function' &&
+    typeof db.pragma === 'function' &&
+    typeof db.backup === 'function',
+
+  /** @param {BetterSqliteDb} db */
+  all: async (db, query, params) => {
+    const { stmt, values } = prepareBetterSqlite3(db, query, params);
+    if (stmt.reader) return stmt.all(...values);
+    stmt.run(...values);
+    return [];
+  },
+
+  /** @param {BetterSqliteDb} db */
+  get: async (db, query, params) => {
+    const { stmt, values } = prepareBetterSqlite3(db, query, params);
+    if (stmt.reader) return stmt.get(...values) ?? null;
+    stmt.run(...values);
+    return null;
+  },
+
+  /** @param {BetterSqliteDb} db */
+  run: async (db, query, params) => {
+    const { stmt, values } = prepareBetterSqlite3(db, query, params);
+    const info = stmt.run(...values);
+    return {
+      changes: info.changes,
+      lastID: Number(info.lastInsertRowid),
+      lastInsertRowid: info.lastInsertRowid,
+    };
+  },
+
+  /** @param {BetterSqliteDb} db */
+  close: async (db) => {
+    db.close();
+  },
+
+  isConnectionError: (err) =>
+    // @ts-ignore
+    err.code === 'SQLITE_CANTOPEN' ||
+    (typeof err.message === 'string' && err.message.includes('SQLITE_CANTOPEN')),
+
+  getErrorClass: getSqliteErrorClass,
+
+  parseError: parseSqliteError,
+};
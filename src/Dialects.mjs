@@ -0,0 +1,205 @@
+import { pg } from './Modules.mjs';
+
+/**
+ * SQL snippets that differ between the SQL dialects.
+ *
+ * The query builder asks the dialect of its engine for these snippets, so the same
+ * JSON helpers, boosts and conditions produce valid SQL on every engine.
+ * Values given as `string` are SQL expressions (columns, placeholders or escaped literals).
+ *
+ * @typedef {Object} SqlDialect
+ * @property {'sqlite3'|'postgre'} name - Name of the dialect (the `dialect` of the engine adapters).
+ * @property {(value: string) => string} escapeLiteral - Escapes a string as a SQL literal (quotes included).
+ * @property {(name: string) => string} quoteIdentifier - Quotes a column, table or collation name.
+ * @property {(index: number) => string} placeholder - Placeholder of the parameter at `index` (starting from 1).
+ * @property {(column: string, path: string) => string} jsonExtract - Value (as text) at a dot path of a JSON column.
+ * @property {(source: string) => string} jsonEach - Rows of a JSON array, for the FROM clause.
+ *   Each element is exposed as `json_each.value` (text).
+ * @property {(column: string, values: string[]) => string} jsonArrayContains - Condition that is true when the
+ *   JSON array of `column` has any of the `values`.
+ * @property {(expression: string, type: string) => string} cast - Casts an expression to a type (e.g. `INTEGER`).
+ * @property {(expression: string, pattern: string) => string} ilike - Case-insensitive `LIKE`.
+ */
+
+/**
+ * Types whose name is different on PostgreSQL.
+ * @type {Record<string, string>}
+ */
+const pgCastTypes = {
+  REAL: 'DOUBLE PRECISION',
+  BLOB: 'BYTEA',
+  DATETIME: 'TIMESTAMP',
+};
+
+/**
+ * SQLite3 dialect, using the JSON1 functions.
+ *
+ * @type {SqlDialect}
+ */
+export const sqliteDialect = {
+  name: 'sqlite3',
+  escapeLiteral: (value) => `'${value.replaceAll("'", "''")}'`,
+  quoteIdentifier: (name) => `"${name.replaceAll('"', '""')}"`,
+  placeholder: (index) => `$${index}`,
+  jsonExtract: (column, path) => `json_extract(${column}, '$.${path}')`,
+  jsonEach: (source) => `json_each(${source})`,
+  jsonArrayContains: (column, values) =>
+    `EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value IN (${values.join(', ')}))`,
+  cast: (expression, type) => `CAST(${expression} AS ${type.toUpperCase()})`,
+  // LIKE is already case-insensitive for ASCII characters
+  ilike: (expression, pattern) => `${expression} LIKE ${pattern}`,
+};
+
+/**
+ * PostgreSQL dialect, using the `jsonb` operators.
+ *
+ * JSON columns are cast to `jsonb`, so `json`, `jsonb` and text columns holding JSON all work.
+ *
+ * @type {SqlDialect}
+ */
+export const postgreDialect = {
+  name: 'postgre',
+  escapeLiteral: (value) => pg.escapeLiteral(value),
+  quoteIdentifier: (name) => pg.escapeIdentifier(name),
+  placeholder: (index) => `$${index}`,
+  jsonExtract: (column, path) =>
+    `(${column})::jsonb #>> '{${path
+      .split('.')
+      .map((key) => `"${key.replaceAll('"', '\\"')}"`)
+      .join(',')
+      .replaceAll("'", "''")}}'`,
+  jsonEach: (source) => `jsonb_array_elements_text((${source})::jsonb) AS json_each(value)`,
+  jsonArrayContains: (column, values) =>
+    `EXISTS (SELECT 1 FROM jsonb_array_elements_text((${column})::jsonb) AS json_each(value) WHERE json_each.value IN (${values.join(', ')}))`,
+  cast: (expression, type) => {
+    const name = type.toUpperCase();
+    return `CAST(${expression} AS ${pgCastTypes[name] ?? name})`;
+  },
+  ilike: (expression, pattern) => `${expression} ILIKE ${pattern}`,
+};
+
+/**
+ * SQL function condition that is only registered on some engines.
+ *
+ * @typedef {Object} PackCondition
+ * @property {(expression: string) => string} sql - Wraps a column or a placeholder in the function.
+ * @property {boolean} [editParam=false] - If true, the function is also applied to the parameter by default.
+ * @property {string} [operator='='] - Default comparison operator.
+ * @property {(condition: import('./PuddySqlQuery.mjs').WhereConditions) => any} [value] - Transforms the value
+ *   of the condition (e.g. adds the `LIKE` wildcards).
+ */
+
+/**
+ * Engine-specific conditions by condition key (e.g. `JULIANDAY`).
+ *
+ * @typedef {Record<string, PackCondition>} ConditionPack
+ */
+
+/**
+ * Wraps an expression in a SQL function call.
+ *
+ * @param {string} name - The SQL function name.
+ * @returns {(expression: string) => string}
+ */
+const sqlFunc = (name) => (expression) => `${name}(${expression})`;
+
+/**
+ * Adds the `%` wildcards of the `LIKE` conditions to a value.
+ *
+ * Both sides are wrapped by default. `lPos: 'left'` or `lPos: 'right'` keeps the wildcard on that side only.
+ *
+ * @param {import('./PuddySqlQuery.mjs').WhereConditions} condition
+ * @returns {string}
+ */
+export const likePattern = (condition) =>
+  `${typeof condition.lPos !== 'string' || condition.lPos === 'left' ? '%' : ''}` +
+  `${condition.value}` +
+  `${typeof condition.lPos !== 'string' || condition.lPos === 'right' ? '%' : ''}`;
+
+/**
+ * Returns the expression unchanged, for conditions that only change the operator.
+ *
+ * @param {string} expression
+ * @returns {string}
+ */
+const sameExpression = (expression) => expression;
+
+/**
+ * Conditions using the built-in functions of SQLite3.
+ *
+ * @type {ConditionPack}
+ */
+export const sqliteConditions = {
+  SOUNDEX: { sql: sqlFunc('SOUNDEX'), editParam: true }, // Phonetic comparison. Example: SOUNDEX(name) = SOUNDEX('rainbow')
+  HEX: { sql: sqlFunc('HEX') }, // Hexadecimal string. Example: HEX(id) = '1A3F'
+  QUOTE: { sql: sqlFunc('QUOTE') }, // Quoted string. Example: QUOTE(title) = "'hello world'"
+  UNICODE: { sql: sqlFunc('UNICODE') }, // Code point of the first character. Example: UNICODE(letter) = 9731
+  CHAR: { sql: sqlFunc('CHAR') }, // Character of a code point. Example: CHAR(letter_code) = 'A'
+  TYPEOF: { sql: sqlFunc('TYPEOF') }, // Data type of the value. Example: TYPEOF(data_field) = 'text'
+  DATE: { sql: sqlFunc('DATE') }, // Date part. Example: DATE(timestamp) = '2025-04-15'
+  TIME: { sql: sqlFunc('TIME') }, // Time part. Example: TIME(timestamp) = '15:30:00'
+  DATETIME: { sql: sqlFunc('DATETIME') }, // Full datetime. Example: DATETIME(created_at) = '2025-04-15 14:20:00'
+  JULIANDAY: { sql: sqlFunc('JULIANDAY') }, // Julian day number. Example: JULIANDAY(date_column) = 2460085.5
+  ILIKE: { sql: sqlFunc('LOWER'), editParam: true, operator: 'LIKE', value: likePattern }, // Example: LOWER(name) LIKE LOWER('%rarity%')
+  // Needs a regexp() function, which SQLite3 does not define by default (the better-sqlite3 adapter adds one)
+  REGEXP: { sql: sameExpression, operator: 'REGEXP' }, // Example: name REGEXP '^Pinkie'
+  '~': { sql: sameExpression, operator: 'REGEXP' },
+};
+
+/**
+ * PostgreSQL equivalents of the SQLite3 conditions.
+ *
+ * `SOUNDEX` needs the `fuzzystrmatch` extension.
+ *
+ * @type {ConditionPack}
+ */
+export const postgreConditions = {
+  SOUNDEX: { sql: sqlFunc('soundex'), editParam: true },
+  // to_hex() returns lowercase digits, SQLite returns uppercase
+  HEX: { sql: (expression) => `UPPER(to_hex(${expression}))` },
+  QUOTE: { sql: sqlFunc('quote_nullable') },
+  UNICODE: { sql: sqlFunc('ascii') },
+  CHAR: { sql: sqlFunc('chr') },
+  TYPEOF: { sql: (expression) => `pg_typeof(${expression})::text` },
+  DATE: { sql: (expression) => `(${expression})::date` },
+  TIME: { sql: (expression) => `(${expression})::time` },
+  DATETIME: { sql: (expression) => `(${expression})::timestamp` },
+  // PostgreSQL Julian days start at midnight, SQLite's start at noon
+  JULIANDAY: {
+    sql: (expression) => `(EXTRACT(JULIAN FROM (${expression})::timestamp) - 0.5)`,
+  },
+  ILIKE: { sql: sameExpression, operator: 'ILIKE', value: likePattern },
+  REGEXP: { sql: sameExpression, operator: '~' },
+  '~': { sql: sameExpression, operator: '~' },
+};
+
+/**
+ * Condition packs by dialect name.
+ * @type {Record<string, ConditionPack>}
+ */
+export const conditionPacks = {
+  sqlite3: sqliteConditions,
+  postgre: postgreConditions,
+};
+
+/**
+ * Dialects by name.
+ * @type {Record<string, SqlDialect>}
+ */
+export const dialects = {
+  sqlite3: sqliteDialect,
+  postgre: postgreDialect,
+};
+
+/**
+ * Returns the dialect with the given name.
+ *
+ * @param {string} name - The dialect name (`'sqlite3'` or `'postgre'`).
+ * @returns {SqlDialect}
+ * @throws {Error} If the dialect does not exist.
+ */
+export const getDialect = (name) => {
+  const dialect = dialects[name];
+  if (!dialect) throw new Error(`Unknown SQL dialect: ${name}`);
+  return dialect;
+};
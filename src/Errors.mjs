@@ -0,0 +1,139 @@
+/**
+ * Error type returned by the `parseError()` function of the engine adapters.
+ *
+ * @typedef {'unique'|'foreignKey'|'notNull'|'check'|'connection'|'syntax'|'timeout'} SqlErrorType
+ */
+
+/**
+ * Details of a driver error, as found by the engine adapter.
+ *
+ * @typedef {Object} ParsedSqlError
+ * @property {SqlErrorType} type - The error type.
+ * @property {string|null} [table] - Table of the failed constraint.
+ * @property {string|null} [constraint] - Name (or expression) of the failed constraint.
+ * @property {string[]} [columns] - Columns of the failed constraint.
+ */
+
+/**
+ * Query details added to the errors by the instance.
+ *
+ * @typedef {Object} SqlErrorQuery
+ * @property {string} sql - The failing SQL query.
+ * @property {any[]} params - The query parameters.
+ * @property {string} debugName - Label sent by the caller (e.g. `'set'`, `'search'`).
+ */
+
+/**
+ * Base class of the errors thrown by the PuddySql engine wrappers.
+ *
+ * The original driver error is kept in `cause`, and its code in `code`,
+ * so the same checks work on SQLite and PostgreSQL.
+ */
+export class PuddySqlError extends Error {
+  /**
+   * @param {Error} cause - The original driver error.
+   * @param {ParsedSqlError} parsed - The details found by the engine adapter.
+   * @param {SqlErrorQuery} query - The failing query.
+   */
+  constructor(cause, parsed, query) {
+    super(cause.message, { cause });
+    this.name = new.target.name;
+
+    /**
+     * Original error code of the driver (e.g. `SQLITE_CONSTRAINT` or `23505`).
+     * @type {string|null}
+     */
+    // @ts-ignore
+    this.code = typeof cause.code === 'string' ? cause.code : null;
+
+    /**
+     * Table of the failed constraint (`null` when unknown).
+     * @type {string|null}
+     */
+    this.table = parsed.table ?? null;
+
+    /**
+     * Name (or expression) of the failed constraint (`null` when unknown).
+     * @type {string|null}
+     */
+    this.constraint = parsed.constraint ?? null;
+
+    /**
+     * Columns of the failed constraint (empty when unknown).
+     * @type {string[]}
+     */
+    this.columns = parsed.columns ?? [];
+
+    /**
+     * First column of the failed constraint (`null` when unknown).
+     * @type {string|null}
+     */
+    this.column = this.columns[0] ?? null;
+
+    /** @type {string} */
+    this.sql = query.sql;
+
+    /** @type {any[]} */
+    this.params = query.params;
+
+    /** @type {string} */
+    this.debugName = query.debugName;
+  }
+}
+
+/** A `UNIQUE` or `PRIMARY KEY` constraint failed. */
+export class UniqueViolationError extends PuddySqlError {}
+
+/** A `FOREIGN KEY` constraint failed. */
+export class ForeignKeyViolationError extends PuddySqlError {}
+
+/** A `NOT NULL` constraint failed. */
+export class NotNullViolationError extends PuddySqlError {}
+
+/** A `CHECK` constraint failed. */
+export class CheckViolationError extends PuddySqlError {}
+
+/** The database connection is not available. */
+export class ConnectionError extends PuddySqlError {}
+
+/** The SQL query is invalid. Not the global `SyntaxError`: use `PuddySql.Errors.SyntaxError`. */
+export class SyntaxError extends PuddySqlError {}
+
+/** The query waited too long (busy database, lock or statement timeout). */
+export class TimeoutError extends PuddySqlError {}
+
+/**
+ * Error class of each error type.
+ * @type {Record<SqlErrorType, typeof PuddySqlError>}
+ */
+export const errorClasses = {
+  unique: UniqueViolationError,
+  foreignKey: ForeignKeyViolationError,
+  notNull: NotNullViolationError,
+  check: CheckViolationError,
+  connection: ConnectionError,
+  syntax: SyntaxError,
+  timeout: TimeoutError,
+};
+
+/**
+ * A search was rejected by the filter policy of the table (see `PuddySqlQuery.search()`).
+ *
+ * It is thrown before any SQL is generated, so it can be sent back to the client (e.g. as a 400 response).
+ */
+export class FilterPolicyError extends Error {
+  /**
+   * @param {string} message - What was rejected.
+   * @param {string} path - Where the rejected value is in the search data (e.g. `q.conditions[0].column`).
+   */
+  constructor(message, path) {
+    super(`${message} (at ${path})`);
+    this.name = 'FilterPolicyError';
+
+    /**
+     * Where the rejected value is in the search data.
+     * @type {string}
+     */
+    this.path = path;
+  }
+}
@@ -0,0 +1,140 @@
+import { appendFileSync, existsSync, renameSync, rmSync, statSync } from 'fs';
+import { isJsonObject } from 'tiny-essentials';
+
+/** @typedef {'debug'|'info'|'warn'|'error'} LogLevel */
+
+/**
+ * Structured log record sent to the loggers.
+ *
+ * Query records (debug mode) also have `id`, `debugName`, `method`, `sql`, `params`,
+ * `durationMs` and `result` (`{ rowCount }`) or `error`.
+ *
+ * - `time`: ISO date of the record.
+ * - `level`: The record level.
+ * - `message`: Short description of the record.
+ *
+ * @typedef {{ time: string, level: LogLevel, message: string, [key: string]: any }} LogRecord
+ */
+
+/**
+ * Receives the log records of an instance. Missing levels are ignored.
+ *
+ * @typedef {Object} Logger
+ * @property {(record: LogRecord) => void} [debug] - Debug mode output (queries and results).
+ * @property {(record: LogRecord) => void} [info] - Informational messages.
+ * @property {(record: LogRecord) => void} [warn] - Warnings (e.g. schema drift in dry-run mode).
+ * @property {(record: LogRecord) => void} [error] - Errors that are not thrown (e.g. non-strict `updateTable()`).
+ */
+
+/**
+ * @typedef {Object} FileLoggerOptions
+ * @property {string} filePath - Path of the NDJSON file.
+ * @property {number} [maxSize=10485760] - Size (in bytes) from which the file is rotated.
+ * @property {number} [maxFiles=5] - Number of rotated files to keep (`file.1` is the newest).
+ * @property {LogLevel} [level='debug'] - Minimum level written to the file.
+ */
+
+/**
+ * Log levels, from the least to the most severe.
+ * @type {LogLevel[]}
+ */
+export const logLevels = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Prints a record to the console, followed by its structured fields.
+ *
+ * @param {'log'|'info'|'warn'|'error'} method - Console method.
+ * @param {LogRecord} record
+ */
+const printRecord = (method, record) => {
+  const { time, level, message, ...data } = record;
+  if (Object.keys(data).length > 0) console[method](`[sql] ${message}`, data);
+  else console[method](`[sql] ${message}`);
+};
+
+/**
+ * Default logger. Writes the records to the console.
+ *
+ * Query records of the debug mode are not sent here: while this logger is in use,
+ * the instance keeps its colored debug output.
+ *
+ * @type {Logger}
+ */
+export const consoleLogger = {
+  debug: (record) => printRecord('log', record),
+  info: (record) => printRecord('info', record),
+  warn: (record) => printRecord('warn', record),
+  error: (record) => printRecord('error', record),
+};
+
+/**
+ * JSON replacer that keeps the useful data of values JSON does not support.
+ *
+ * @param {string} _key
+ * @param {any} value
+ * @returns {any}
+ */
+const jsonReplacer = (_key, value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Error)
+    return {
+      name: value.name,
+      message: value.message,
+      // @ts-ignore
+      code: value.code,
+      stack: value.stack,
+    };
+  return value;
+};
+
+/**
+ * Creates a logger that appends each record as a JSON line (NDJSON) to a file.
+ *
+ * When the next line would make the file bigger than `maxSize`, the file is rotated:
+ * `file` becomes `file.1`, `file.1` becomes `file.2`, and so on up to `maxFiles`
+ * (older files are deleted). Writes are synchronous, so records keep their order and
+ * are not lost if the process exits.
+ *
+ * @param {FileLoggerOptions} options
+ * @returns {Logger}
+ *
+ * @example
+ * db.setLogger(PuddySql.Loggers.createFileLogger({ filePath: './logs/sql.ndjson', level: 'info' }));
+ */
+export const createFileLogger = (options) => {
+  if (!isJsonObject(options)) throw new TypeError('options must be a plain object');
+  const { filePath, maxSize = 10 * 1024 * 1024, maxFiles = 5, level = 'debug' } = options;
+  if (typeof filePath !== 'string' || filePath.trim() === '')
+    throw new TypeError('filePath must be a non-empty string');
+  if (typeof maxSize !== 'number' || !Number.isFinite(maxSize) || maxSize <= 0)
+    throw new TypeError('maxSize must be a positive number');
+  if (!Number.isInteger(maxFiles) || maxFiles < 0)
+    throw new TypeError('maxFiles must be a non-negative integer');
+  if (!logLevels.includes(level))
+    throw new TypeError(`level must be one of: ${logLevels.join(', ')}. Got: ${level}`);
+
+  const minLevel = logLevels.indexOf(level);
+  let size = existsSync(filePath) ? statSync(filePath).size : 0;
+
+  const rotate = () => {
+    if (maxFiles > 0) {
+      rmSync(`${filePath}.${maxFiles}`, { force: true });
+      for (let i = maxFiles - 1; i > 0; i--)
+        if (existsSync(`${filePath}.${i}`)) renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+      renameSync(filePath, `${filePath}.1`);
+    } else rmSync(filePath, { force: true });
+    size = 0;
+  };
+
+  /** @param {LogRecord} record */
+  const write = (record) => {
+    if (logLevels.indexOf(record.level) < minLevel) return;
+    const line = `${JSON.stringify(record, jsonReplacer)}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxSize) rotate();
+    appendFileSync(filePath, line);
+    size += bytes;
+  };
+
+  return { debug: write, info: write, warn: write, error: write };
+};
@@ -0,0 +1,141 @@
+import _ from 'lodash';
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttl=60000] - Time (in milliseconds) an entry stays valid.
+ * @property {number} [maxSize=500] - Maximum number of entries. The least recently used entry is removed first.
+ */
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {number} hits - Reads answered by the cache.
+ * @property {number} misses - Reads sent to the database.
+ * @property {number} evictions - Entries removed because the cache was full.
+ * @property {number} invalidations - Times the cache was cleared by a write.
+ * @property {number} size - Current number of entries.
+ */
+
+/**
+ * Result cache of a table, with a TTL per entry and a size cap.
+ *
+ * Values are deep cloned when stored and when read, so callers can change
+ * the returned rows without changing the cache.
+ * Concurrent reads of the same missing key share a single database query.
+ */
+class PuddySqlCache {
+  /** @type {Map<string, { value: any, expires: number }>} */
+  #entries = new Map();
+
+  /** @type {Map<string, Promise<any>>} */
+  #pending = new Map();
+
+  /**
+   * Incremented on each invalidation, so a query started before a write is not stored.
+   * @type {number}
+   */
+  #version = 0;
+
+  #ttl = 60000;
+  #maxSize = 500;
+
+  /** @type {Omit<CacheStats, 'size'>} */
+  #stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+  /**
+   * @param {CacheOptions} [options={}]
+   * @throws {TypeError} If an option is invalid.
+   */
+  constructor(options = {}) {
+    if (!isJsonObject(options)) throw new TypeError('cache options must be a plain object');
+    const { ttl = 60000, maxSize = 500 } = options;
+    if (typeof ttl !== 'number' || Number.isNaN(ttl) || ttl <= 0)
+      throw new TypeError('cache ttl must be a positive number');
+    if (!Number.isInteger(maxSize) || maxSize < 1)
+      throw new TypeError('cache maxSize must be a positive integer');
+    this.#ttl = ttl;
+    this.#maxSize = maxSize;
+  }
+
+  /**
+   * Returns the cached value of a key, or loads and stores it.
+   *
+   * @param {string} key - The cache key (usually the SQL and its parameters).
+   * @param {() => Promise<any>} loader - Loads the value when it is not cached.
+   * @returns {Promise<any>} A copy of the value.
+   */
+  async getOrLoad(key, loader) {
+    const entry = this.#entries.get(key);
+    if (entry && entry.expires > Date.now()) {
+      // Most recently used entries are kept at the end
+      this.#entries.delete(key);
+      this.#entries.set(key, entry);
+      this.#stats.hits++;
+      return _.cloneDeep(entry.value);
+    }
+    if (entry) this.#entries.delete(key);
+
+    let pending = this.#pending.get(key);
+    if (pending) this.#stats.hits++;
+    else {
+      this.#stats.misses++;
+      const version = this.#version;
+      pending = loader()
+        .then((value) => {
+          if (version === this.#version) this.#store(key, value);
+          return value;
+        })
+        .finally(() => this.#pending.delete(key));
+      this.#pending.set(key, pending);
+    }
+    return _.cloneDeep(await pending);
+  }
+
+  /**
+   * Stores a value, removing the least recently used entries when the cache is full.
+   *
+   * @param {string} key
+   * @param {any} value
+   */
+  #store(key, value) {
+    this.#entries.delete(key);
+    while (this.#entries.size >= this.#maxSize) {
+      const oldest = this.#entries.keys().next().value;
+      if (typeof oldest === 'undefined') break;
+      this.#entries.delete(oldest);
+      this.#stats.evictions++;
+    }
+    this.#entries.set(key, { value: _.cloneDeep(value), expires: Date.now() + this.#ttl });
+  }
+
+  /**
+   * Removes every entry. Queries still running are not stored when they finish.
+   */
+  invalidate() {
+    this.#entries.clear();
+    this.#pending.clear();
+    this.#version++;
+    this.#stats.invalidations++;
+  }
+
+  /**
+   * Returns the hit/miss statistics.
+   *
+   * @returns {CacheStats}
+   */
+  getStats() {
+    return { ...this.#stats, size: this.#entries.size };
+  }
+
+  /**
+   * Removes every entry and resets the statistics.
+   */
+  reset() {
+    this.#entries.clear();
+    this.#pending.clear();
+    this.#version++;
+    this.#stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  }
+}
+
+export default PuddySqlCache;
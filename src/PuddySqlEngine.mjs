@@ -1,4 +1,171 @@
+import { isJsonObject } from 'tiny-essentials';
+import { sqlite3Adapter, postgreAdapter, betterSqlite3Adapter } from './Adapters.mjs';
+import { getDialect } from './Dialects.mjs';
+import { consoleLogger, logLevels } from './Loggers.mjs';
+
+/** @typedef {import('./Loggers.mjs').Logger} Logger */
+/** @typedef {import('./Loggers.mjs').LogLevel} LogLevel */
+/** @typedef {import('./Dialects.mjs').SqlDialect} SqlDialect */
+
+/**
+ * Executes a query through the native driver of an engine.
+ *
+ * @callback EngineQuery
+ * @param {any} db - The native connection (or a dedicated transaction client).
+ * @param {string} query - The SQL query to execute, using `$1, $2, ...` placeholders.
+ * @param {any[]} params - The parameters to bind to the query.
+ * @returns {Promise<any>}
+ */
+
+/**
+ * Class of a transient error, which can succeed if the query is sent again.
+ * - `busy`: The database file is busy (`SQLITE_BUSY`).
+ * - `locked`: A table or row is locked (`SQLITE_LOCKED`, PostgreSQL `55P03`).
+ * - `serialization`: Serialization failure (PostgreSQL `40001`).
+ * - `deadlock`: Deadlock detected (PostgreSQL `40P01`).
+ *
+ * @typedef {'busy'|'locked'|'serialization'|'deadlock'} TransientErrorClass
+ */
+
+/**
+ * Options of a single `all`/`get`/`run` call.
+ *
+ * @typedef {Object} QueryOptions
+ * @property {import('./PuddySqlInstance.mjs').RetryPolicy|false} [retry] - Retry policy of this call
+ * (replaces the instance policy), or `false` to disable retries.
+ * @property {string|null} [table] - Name of the table that sent the query (set by `PuddySqlQuery`).
+ */
+
+/**
+ * Describes how PuddySql talks to a database driver.
+ *
+ * The instance wraps these functions with the shared behavior (parameter validation,
+ * debug output and connection error events), so adapters only need to call the driver.
+ *
+ * @typedef {Object} EngineAdapter
+ * @property {'sqlite3'|'postgre'} dialect - SQL dialect used by the query builder for this engine.
+ * @property {string} resultCountKey - Key of the `run()` result that holds the number of affected rows.
+ * @property {boolean} [regexp=false] - Whether the connections define the `regexp()` function needed by
+ * `REGEXP` conditions on the `sqlite3` dialect (PostgreSQL uses its native `~` operator).
+ * @property {(config?: any) => Promise<any>} [connect] - Opens a new native connection. Used by `initEngine()`.
+ * @property {(db: any) => boolean} [isDb] - Checks whether a value is a native connection of this engine. Used by `setEngine()`.
+ * @property {EngineQuery} all - Returns all rows of a query (an array).
+ * @property {EngineQuery} get - Returns the first row of a query (an object, or `null`/`undefined` if none).
+ * @property {EngineQuery} run - Executes a statement and returns its result object.
+ * @property {(db: any) => Promise<any>} close - Closes the native connection.
+ * @property {(err: any) => boolean} isConnectionError - Checks whether an error means the connection is not available.
+ * @property {(db: any) => Promise<{ db: any, release: (err?: Error) => void }>} [acquire] - Checks out a dedicated
+ * connection for a transaction. When omitted, transactions are queued and use the main connection.
+ * @property {(db: any, onError: (err: any) => void) => void} [listen] - Subscribes to errors emitted outside of queries (e.g. idle pool clients).
+ * @property {(db: any) => Promise<void>} [ping] - Checks that a connection can be used again. Required by the reconnect policy.
+ * @property {(err: any) => TransientErrorClass|null} [getErrorClass] - Classifies transient errors. Required by the retry policy.
+ * @property {(err: any) => import('./Errors.mjs').ParsedSqlError|null} [parseError] - Finds the type, table, constraint
+ * and columns of a driver error, so the instance can throw the matching `PuddySql.Errors` class.
+ */
+
 class PuddySqlEngine {
+  /**
+   * Registered engine adapters, by engine name.
+   * @type {Map<string, EngineAdapter>}
+   */
+  static #engines = new Map();
+
+  /**
+   * SQL dialects understood by the query builder.
+   * @type {string[]}
+   */
+  static #dialects = ['sqlite3', 'postgre'];
+
+  /**
+   * Registers a new SQL engine adapter.
+   *
+   * After registration, the engine can be used with `instance.initEngine(name, config)`
+   * or `instance.setEngine(name, db)`. Built-in engines (`sqlite3`, `postgre` and `better-sqlite3`) are already registered.
+   *
+   * @param {string} name - Unique engine name.
+   * @param {EngineAdapter} adapter - The adapter implementation.
+   * @throws {TypeError} If the name or the adapter is invalid.
+   * @throws {Error} If an engine with the same name is already registered.
+   *
+   * @example
+   * PuddySql.Instance.registerEngine('my-sqlite', {
+   *   dialect: 'sqlite3',
+   *   resultCountKey: 'changes',
+   *   connect: async (file) => openMyDriver(file),
+   *   all: async (db, query, params) => db.all(query, params),
+   *   get: async (db, query, params) => db.get(query, params),
+   *   run: async (db, query, params) => db.run(query, params),
+   *   close: async (db) => db.close(),
+   *   isConnectionError: (err) => err.code === 'SQLITE_CANTOPEN',
+   * });
+   */
+  static registerEngine(name, adapter) {
+    if (typeof name !== 'string' || name.trim() === '')
+      throw new TypeError('Engine name must be a non-empty string');
+    if (PuddySqlEngine.#engines.has(name))
+      throw new Error(`SQL engine "${name}" is already registered.`);
+    if (!isJsonObject(adapter)) throw new TypeError('adapter must be a plain object');
+    if (!PuddySqlEngine.#dialects.includes(adapter.dialect))
+      throw new TypeError(
+        `adapter.dialect must be one of: ${PuddySqlEngine.#dialects.join(', ')}. Got: ${adapter.dialect}`,
+      );
+    if (typeof adapter.resultCountKey !== 'string' || adapter.resultCountKey.trim() === '')
+      throw new TypeError('adapter.resultCountKey must be a non-empty string');
+    if (typeof adapter.regexp !== 'undefined' && typeof adapter.regexp !== 'boolean')
+      throw new TypeError('adapter.regexp must be a boolean if defined');
+
+    /** @type {Record<string, any>} */
+    const methods = adapter;
+    for (const key of ['all', 'get', 'run', 'close', 'isConnectionError'])
+      if (typeof methods[key] !== 'function')
+        throw new TypeError(`adapter.${key} must be a function`);
+    for (const key of [
+      'connect',
+      'isDb',
+      'acquire',
+      'listen',
+      'ping',
+      'getErrorClass',
+      'parseError',
+    ])
+      if (typeof methods[key] !== 'undefined' && typeof methods[key] !== 'function')
+        throw new TypeError(`adapter.${key} must be a function if defined`);
+
+    PuddySqlEngine.#engines.set(name, Object.freeze({ ...adapter }));
+  }
+
+  /**
+   * Checks whether an engine adapter is registered.
+   *
+   * @param {string} name - Engine name.
+   * @returns {boolean}
+   */
+  static hasEngine(name) {
+    return PuddySqlEngine.#engines.has(name);
+  }
+
+  /**
+   * Returns a registered engine adapter.
+   *
+   * @param {string} name - Engine name.
+   * @returns {EngineAdapter}
+   * @throws {Error} If the engine is not registered.
+   */
+  static getEngine(name) {
+    const adapter = PuddySqlEngine.#engines.get(name);
+    if (!adapter) throw new Error(`SQL engine "${name}" is not registered.`);
+    return adapter;
+  }
+
+  /**
+   * Returns the names of all registered engines.
+   *
+   * @returns {string[]}
+   */
+  static getEngines() {
+    return [...PuddySqlEngine.#engines.keys()];
+  }
+
   /** @type {string} */
   #sqlEngine = '';
 
@@ -46,44 +213,104 @@ class PuddySqlEngine {
   }
 
   /**
-   * Checks if the given error message indicates a connection error based on the SQL engine in use.
+   * Returns the adapter of the SQL engine in use.
    *
-   * This method evaluates if the provided error message contains any known connection error codes
-   * for the current SQL engine (PostgreSQL or SQLite3).
+   * @returns {EngineAdapter}
+   * @throws {Error} If the SQL engine is not defined or not registered.
+   */
+  getEngineAdapter() {
+    return PuddySqlEngine.getEngine(this.getSqlEngine());
+  }
+
+  /**
+   * Returns the SQL dialect of the engine in use (`'sqlite3'` or `'postgre'`).
+   *
+   * Query builders must check the dialect instead of the engine name,
+   * so custom engines speaking the same SQL get the same queries.
+   *
+   * @returns {'sqlite3'|'postgre'}
+   * @throws {Error} If the SQL engine is not defined or not registered.
+   */
+  getSqlDialect() {
+    return this.getEngineAdapter().dialect;
+  }
+
+  /**
+   * Returns the SQL snippets (JSON access, casts, ILIKE, literals...) of the dialect in use.
    *
-   * @param {Error} err - The error message to check.
-   * @returns {boolean} True if the error message matches any known connection error codes; otherwise, false.
+   * @returns {SqlDialect}
+   * @throws {Error} If the SQL engine is not defined or not registered.
+   */
+  getDialect() {
+    return getDialect(this.getSqlDialect());
+  }
+
+  /**
+   * Checks if the given error indicates a connection error based on the SQL engine in use.
+   *
+   * The check is delegated to the `isConnectionError` function of the engine adapter
+   * (known error codes for PostgreSQL, `SQLITE_CANTOPEN` for SQLite3).
+   *
+   * @param {Error} err - The error to check.
+   * @returns {boolean} True if the error matches any known connection error; otherwise, false.
    */
   isConnectionError(err) {
     if (typeof err !== 'object' || err === null || Array.isArray(err))
       throw new TypeError('err must be a plain object');
-    const sqlEngine = this.getSqlEngine();
-    if (typeof sqlEngine === 'string') {
-      // PostgreSQL
-      if (sqlEngine === 'postgre') {
-        const codes = [
-          'ECONNREFUSED',
-          'ENOTFOUND',
-          'EHOSTUNREACH',
-          'ETIMEDOUT',
-          'EPIPE',
-          '28P01',
-          '3D000',
-          '08006',
-          '08001',
-          '08004',
-          '53300',
-          '57P01',
-        ];
-        // @ts-ignore
-        for (const code of codes) if (err.code === code) return true;
-      }
-
-      // Sqlite3
-      if (sqlEngine === 'sqlite3' && typeof err.message === 'string')
-        return err.message.includes('SQLITE_CANTOPEN');
+    return this.getEngineAdapter().isConnectionError(err) === true;
+  }
+
+  /**
+   * Logger that receives the records of this instance.
+   * @type {Logger}
+   */
+  #logger = consoleLogger;
+
+  /**
+   * Sets the logger that receives the records of this instance (debug output, warnings and errors).
+   *
+   * Each level (`debug`, `info`, `warn`, `error`) is optional and receives a structured record.
+   * In debug mode, every query sends a `debug` record with its `id`, `debugName`, `sql`, `params`,
+   * `durationMs` and result summary (or an `error` record when it fails).
+   *
+   * @param {Logger|null} logger - The logger, or `null` to restore the console output.
+   * @throws {TypeError} If the logger is not a plain object with functions.
+   */
+  setLogger(logger) {
+    if (logger === null) {
+      this.#logger = consoleLogger;
+      return;
     }
-    return false;
+    if (!isJsonObject(logger)) throw new TypeError('logger must be a plain object or null');
+    for (const level of logLevels)
+      if (typeof logger[level] !== 'undefined' && typeof logger[level] !== 'function')
+        throw new TypeError(`logger.${level} must be a function`);
+    this.#logger = logger;
+  }
+
+  /**
+   * Returns the logger in use (the console logger by default).
+   *
+   * @returns {Logger}
+   */
+  getLogger() {
+    return this.#logger;
+  }
+
+  /**
+   * Sends a structured record to the logger.
+   *
+   * @param {LogLevel} level - The record level.
+   * @param {string} message - Short description of the record.
+   * @param {Record<string, any>} [data={}] - Structured fields of the record.
+   * @throws {TypeError} If the level is invalid.
+   */
+  log(level, message, data = {}) {
+    if (!logLevels.includes(level))
+      throw new TypeError(`level must be one of: ${logLevels.join(', ')}. Got: ${level}`);
+    const write = this.#logger[level];
+    if (typeof write === 'function')
+      write.call(this.#logger, { time: new Date().toISOString(), level, message, ...data });
   }
 
   /**
@@ -104,10 +331,11 @@ class PuddySqlEngine {
    * @param {string} query - The SQL query to execute.
    * @param {any[*]} [params] - The parameters to bind to the query.
    * @param {string} [debugName] - Optional label or context name for the debug log.
+   * @param {QueryOptions} [options] - Options of this call (e.g. `retry`).
    * @returns {Promise<any[*]>} A promise that resolves to an array of rows.
    * @throws {Error} Throws an error if the query fails.
    */
-  all = (query, params, debugName = '') =>
+  all = (query, params, debugName = '', options = {}) =>
     new Promise((resolve, reject) => reject(this.#missingEngineError('all')));
 
   /**
@@ -117,10 +345,11 @@ class PuddySqlEngine {
    * @param {string} query - The SQL query to execute.
    * @param {any[*]} [params] - The parameters to bind to the query.
    * @param {string} [debugName] - Optional label or context name for the debug log.
+   * @param {QueryOptions} [options] - Options of this call (e.g. `retry`).
    * @returns {Promise<Record<any, any>|null>} A promise that resolves to a single row object.
    * @throws {Error} Throws an error if the query fails.
    */
-  get = (query, params, debugName = '') =>
+  get = (query, params, debugName = '', options = {}) =>
     new Promise((resolve, reject) => reject(this.#missingEngineError('get')));
 
   /**
@@ -130,11 +359,16 @@ class PuddySqlEngine {
    * @param {string} query - The SQL query to execute.
    * @param {any[*]} params - The parameters to bind to the query.
    * @param {string} [debugName] - Optional label or context name for the debug log.
+   * @param {QueryOptions} [options] - Options of this call (e.g. `retry`).
    * @returns {Promise<Record<any, any>|null>} A promise that resolves to the result of the query execution.
    * @throws {Error} Throws an error if the query fails.
    */
-  run = (query, params, debugName = '') =>
+  run = (query, params, debugName = '', options = {}) =>
     new Promise((resolve, reject) => reject(this.#missingEngineError('run')));
 }
 
+PuddySqlEngine.registerEngine('sqlite3', sqlite3Adapter);
+PuddySqlEngine.registerEngine('postgre', postgreAdapter);
+PuddySqlEngine.registerEngine('better-sqlite3', betterSqlite3Adapter);
+
 export default PuddySqlEngine;
@@ -26,6 +26,107 @@ class PuddySqlEvents {
    */
   static ConnectionError = 'Connection-Error';
 
+  /**
+   * Emitted when `autoSync` finds differences between the declared columns of a table and the real table.
+   *
+   * Payload: `{ table: string, changes: SchemaChanges, dryRun: boolean }`.
+   *
+   * @type {string}
+   * @static
+   */
+  static SchemaDrift = 'Schema-Drift';
+
+  /**
+   * Emitted before a query is sent to the database.
+   *
+   * Payload: `QueryEventInfo` (`{ id, debugName, method, query, params }`).
+   *
+   * @type {string}
+   * @static
+   */
+  static QueryStart = 'Query-Start';
+
+  /**
+   * Emitted after a query succeeds.
+   *
+   * Payload: `QueryEventInfo` plus `{ duration: number, rowCount: number }` (duration in milliseconds).
+   *
+   * @type {string}
+   * @static
+   */
+  static QueryEnd = 'Query-End';
+
+  /**
+   * Emitted when a query fails (including invalid parameters).
+   *
+   * Payload: `QueryEventInfo` plus `{ duration: number, error: Error }`.
+   *
+   * @type {string}
+   * @static
+   */
+  static QueryError = 'Query-Error';
+
+  /**
+   * Emitted after a query that took longer than the slow query threshold (see `setSlowQueryThreshold()`).
+   *
+   * Payload: `QueryEventInfo` plus `{ duration: number, rowCount: number, threshold: number }`.
+   *
+   * @type {string}
+   * @static
+   */
+  static SlowQuery = 'Slow-Query';
+
+  /**
+   * Emitted when `initTable()` creates a table that did not exist yet.
+   *
+   * Payload: `{ table: string, columns: SqlTableConfig }`.
+   *
+   * @type {string}
+   * @static
+   */
+  static TableCreated = 'Table-Created';
+
+  /**
+   * Emitted when `dropTable()` drops a table.
+   *
+   * Payload: `{ table: string }`.
+   *
+   * @type {string}
+   * @static
+   */
+  static TableDropped = 'Table-Dropped';
+
+  /**
+   * Emitted when a query failed with a transient error and is going to be sent again (retry policy).
+   *
+   * Payload: `QueryEventInfo` plus `{ attempt: number, delay: number, error: Error, errorClass: string|null }`
+   * (`attempt` is the attempt that failed, and `delay` the wait in milliseconds before the next one).
+   *
+   * @type {string}
+   * @static
+   */
+  static QueryRetried = 'Query-Retried';
+
+  /**
+   * Emitted before each reconnect attempt, when the reconnect policy is enabled.
+   *
+   * Payload: `{ attempt: number, delay: number, error: Error }` (delay in milliseconds before the attempt).
+   *
+   * @type {string}
+   * @static
+   */
+  static Reconnecting = 'Reconnecting';
+
+  /**
+   * Emitted when the connection is back, before the queued queries are replayed.
+   *
+   * Payload: `{ attempts: number, downtime: number, queued: number }` (downtime in milliseconds).
+   *
+   * @type {string}
+   * @static
+   */
+  static Reconnected = 'Reconnected';
+
   /**
    * @returns {string[]}
    */
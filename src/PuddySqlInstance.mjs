@@ -1,5 +1,6 @@
-import { open, Database } from 'sqlite';
+import { Database } from 'sqlite';
 import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 import { isJsonObject } from 'tiny-essentials';
 
 import { validatePostgresParams } from './Utils.mjs';
@@ -7,9 +8,97 @@ import { pg, sqlite3 } from './Modules.mjs';
 import PuddySqlEngine from './PuddySqlEngine.mjs';
 import PuddySqlQuery from './PuddySqlQuery.mjs';
 import PuddySqlEvents from './PuddySqlEvents.mjs';
+import PuddySqlTransaction from './PuddySqlTransaction.mjs';
+import PuddySqlMigrations from './PuddySqlMigrations.mjs';
+import { consoleLogger } from './Loggers.mjs';
+import { errorClasses } from './Errors.mjs';
 
 /** @typedef {import('pg').Pool} PgPool */
 /** @typedef {import('sqlite').Database} SqliteDb */
+/** @typedef {import('./PuddySqlEngine.mjs').TransientErrorClass} TransientErrorClass */
+
+/**
+ * Base payload of the query lifecycle events (`QueryStart`, `QueryEnd`, `QueryError` and `SlowQuery`).
+ *
+ * @typedef {Object} QueryEventInfo
+ * @property {number} id - Debug id of the query (the same printed by the debug console).
+ * @property {string} debugName - Label sent by the caller (e.g. `'set'`, `'search'`).
+ * @property {'all'|'get'|'run'} method - The SQL method used.
+ * @property {string} query - The SQL query.
+ * @property {any[]} params - The query parameters.
+ */
+
+/**
+ * Context shared by the middlewares of a query (see `PuddySqlInstance.use()`).
+ *
+ * Middlewares can change `query`, `params`, `debugName` and `options` before calling `next()`,
+ * read or replace `result` after it, or set `result` without calling `next()` to skip the database.
+ *
+ * @typedef {Object} QueryContext
+ * @property {'all'|'get'|'run'} method - The SQL method used.
+ * @property {string} query - The SQL query.
+ * @property {any[]} params - The query parameters.
+ * @property {string} debugName - Label sent by the caller (e.g. `'set'`, `'search'`).
+ * @property {string|null} table - Name of the table that sent the query (`null` for direct calls).
+ * @property {import('./PuddySqlEngine.mjs').QueryOptions} options - Options of this call.
+ * @property {any} result - The query result, available after `next()`.
+ */
+
+/**
+ * Middleware wrapped around every `all`/`get`/`run` call.
+ *
+ * @callback QueryMiddleware
+ * @param {QueryContext} ctx - The query context.
+ * @param {() => Promise<void>} next - Runs the next middleware (and finally the query).
+ * @returns {Promise<void>|void}
+ */
+
+/**
+ * Reconnect policy used when a query fails with a connection error.
+ *
+ * The delay before each attempt grows exponentially: `initialDelay * factor ** (attempt - 1)`, up to `maxDelay`.
+ *
+ * @typedef {Object} ReconnectPolicy
+ * @property {number} [maxAttempts=10] - Attempts before giving up and rejecting the queued queries.
+ * @property {number} [initialDelay=100] - Delay (in milliseconds) before the first attempt.
+ * @property {number} [maxDelay=10000] - Maximum delay (in milliseconds) between attempts.
+ * @property {number} [factor=2] - Multiplier applied to the delay after each attempt.
+ * @property {number} [maxQueue=100] - Maximum number of queries waiting for the connection.
+ * @property {'reads'|'all'|'none'} [replay='reads'] - Queries replayed once the connection is back after failing
+ * with a connection error: only `SELECT` statements (`'reads'`), every query (`'all'`), or none (`'none'`).
+ * A write can reach the server before the connection drops, so `'all'` may apply it twice.
+ */
+
+/**
+ * Connection options of `initSqlite3()`. The pragmas are applied every time the database opens,
+ * in this order: `busyTimeout`, `journalMode`, `synchronous`, `foreignKeys`, `cacheSize`, then `pragmas`.
+ *
+ * @typedef {Object} SqliteOptions
+ * @property {boolean} [readOnly=false] - Opens the database in read-only mode.
+ * @property {number} [mode] - Open mode flags (`PuddySql.sqlite3.OPEN_*`). Cannot be used with `readOnly`.
+ * @property {'DELETE'|'TRUNCATE'|'PERSIST'|'MEMORY'|'WAL'|'OFF'} [journalMode] - `PRAGMA journal_mode`.
+ * @property {number} [busyTimeout] - `PRAGMA busy_timeout`, in milliseconds.
+ * @property {boolean} [foreignKeys] - `PRAGMA foreign_keys`.
+ * @property {'OFF'|'NORMAL'|'FULL'|'EXTRA'} [synchronous] - `PRAGMA synchronous`.
+ * @property {number} [cacheSize] - `PRAGMA cache_size` (pages, or KiB when negative).
+ * @property {Record<string, string|number|boolean>} [pragmas] - Other pragmas to apply.
+ */
+
+/**
+ * Retry policy used when a query fails with a transient error (see `TransientErrorClass`).
+ *
+ * The delay before each retry grows exponentially (`initialDelay * factor ** (retry - 1)`, up to `maxDelay`),
+ * then a random part of it (`jitter`) is removed, so concurrent writers do not retry at the same time.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - Total attempts of a query, including the first one.
+ * @property {number} [initialDelay=50] - Delay (in milliseconds) before the first retry.
+ * @property {number} [maxDelay=1000] - Maximum delay (in milliseconds) between attempts.
+ * @property {number} [factor=2] - Multiplier applied to the delay after each retry.
+ * @property {number} [jitter=0.5] - Fraction of the delay (from `0` to `1`) that can be randomly removed.
+ * @property {TransientErrorClass[]|((err: Error, errorClass: TransientErrorClass|null) => boolean)} [retryOn]
+ * - Error classes to retry (all by default), or a function that decides for each error.
+ */
 
 /**
  * PuddySql is a wrapper for basic SQL operations on a local storage abstraction.
@@ -22,6 +111,11 @@ class PuddySqlInstance extends PuddySqlEngine {
 
   /** @typedef {import('./PuddySqlQuery.mjs').TableSettings} TableSettings */
   /** @typedef {import('./PuddySqlQuery.mjs').SqlTableConfig} SqlTableConfig */
+  /** @typedef {import('./PuddySqlTransaction.mjs').TransactionClient} TransactionClient */
+  /** @typedef {import('./PuddySqlTransaction.mjs').TransactionCallback} TransactionCallback */
+  /** @typedef {import('./PuddySqlMigrations.mjs').Migration} Migration */
+  /** @typedef {import('./PuddySqlEngine.mjs').EngineAdapter} EngineAdapter */
+  /** @typedef {import('./PuddySqlEngine.mjs').QueryOptions} QueryOptions */
 
   // @ts-ignore
   #db;
@@ -30,8 +124,71 @@ class PuddySqlInstance extends PuddySqlEngine {
   #tables = {};
   #debug = false;
   #debugCount = 0;
+
+  /**
+   * Queries that take at least this many milliseconds emit `PuddySqlEvents.SlowQuery` (`null` disables it).
+   * @type {number|null}
+   */
+  #slowQueryThreshold = 1000;
+
+  /**
+   * Reconnect policy of the main connection (`null` when disabled).
+   * @type {Required<ReconnectPolicy>|null}
+   */
+  #reconnectPolicy = null;
+
+  /**
+   * Retry policy of the transient errors (`null` when disabled).
+   * @type {Required<RetryPolicy>|null}
+   */
+  #retryPolicy = null;
+
+  /**
+   * Middlewares wrapped around every query, in registration order.
+   * @type {QueryMiddleware[]}
+   */
+  #middlewares = [];
+
+  /**
+   * Queries waiting for the connection while reconnecting (`null` when connected).
+   * @type {{ resolve: () => void, reject: (err: Error) => void }[]|null}
+   */
+  #reconnectQueue = null;
   #consoleColors = true;
 
+  /**
+   * Adapter of the SQL engine in use. Defined by `setEngine()`.
+   * @type {EngineAdapter|null}
+   */
+  #adapter = null;
+
+  /**
+   * Queue used to run exclusive transactions one after another.
+   * @type {Promise<void>}
+   */
+  #transactionQueue = Promise.resolve();
+
+  /**
+   * Transaction holding the single connection of the engine (`null` when the connection is free).
+   * Queries of the main connection sent from outside of it wait for `done`.
+   * @type {{ done: Promise<void> }|null}
+   */
+  #connectionOwner = null;
+
+  /**
+   * Tracks the transaction that started an async call chain, so the queries sent by the
+   * transaction callback are not blocked by its own lock, and its `db.transaction()` calls
+   * become SAVEPOINTs of the open scope.
+   * @type {AsyncLocalStorage<{ done: Promise<void>, tx: PuddySqlTransaction }>}
+   */
+  #transactionContext = new AsyncLocalStorage();
+
+  /**
+   * Versioned migrations registered in this instance.
+   * @type {PuddySqlMigrations}
+   */
+  #migrations = new PuddySqlMigrations(this);
+
   /**
    * Important instance used to make event emitter.
    * @type {EventEmitter}
@@ -398,7 +555,8 @@ class PuddySqlInstance extends PuddySqlEngine {
   /**
    * Enables or disables debug mode.
    *
-   * When debug mode is enabled, SQL queries and additional debug info will be logged to the console.
+   * When debug mode is enabled, SQL queries and additional debug info will be logged to the console,
+   * or sent as `debug` records to the logger defined by `setLogger()`.
    *
    * @param {boolean} isDebug - If true, debug mode is enabled; otherwise, it's disabled.
    */
@@ -416,6 +574,301 @@ class PuddySqlInstance extends PuddySqlEngine {
     return this.#debug;
   }
 
+  /**
+   * Sets the duration (in milliseconds) from which a query emits `PuddySqlEvents.SlowQuery`.
+   *
+   * @param {number|null} ms - The threshold, or `null` to disable slow query events.
+   */
+  setSlowQueryThreshold(ms) {
+    if (ms !== null && (typeof ms !== 'number' || Number.isNaN(ms) || ms < 0))
+      throw new TypeError('ms must be a non-negative number or null');
+    this.#slowQueryThreshold = ms;
+  }
+
+  /**
+   * Returns the slow query threshold in milliseconds (`null` when disabled).
+   *
+   * @returns {number|null}
+   */
+  getSlowQueryThreshold() {
+    return this.#slowQueryThreshold;
+  }
+
+  /**
+   * Enables or disables the automatic reconnect of the main connection.
+   *
+   * When enabled, a query that fails with a connection error (see `isConnectionError()`) does not reject:
+   * the instance waits for the connection with an exponential backoff (emitting `PuddySqlEvents.Reconnecting`
+   * before each attempt), then emits `PuddySqlEvents.Reconnected` and replays the queued queries.
+   * Queries sent while reconnecting are queued too. When the queue is full or all attempts fail, the queries reject.
+   *
+   * By default only `SELECT` statements are replayed: other failed queries reject at once (the reconnect still starts),
+   * because the server may have applied them before the connection dropped. Use `replay: 'all'` to replay them too.
+   *
+   * Only engines whose adapter has a `ping()` function can reconnect (the built-in `postgre` engine).
+   * Queries of a transaction with a dedicated connection are never replayed.
+   *
+   * @param {ReconnectPolicy|null} policy - The policy (missing options use the defaults), or `null` to disable it.
+   * @throws {TypeError} If an option is invalid.
+   */
+  setReconnectPolicy(policy) {
+    if (policy === null) {
+      this.#reconnectPolicy = null;
+      return;
+    }
+    if (!isJsonObject(policy)) throw new TypeError('policy must be a plain object or null');
+    const {
+      maxAttempts = 10,
+      initialDelay = 100,
+      maxDelay = 10000,
+      factor = 2,
+      maxQueue = 100,
+      replay = 'reads',
+    } = policy;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1)
+      throw new TypeError('policy.maxAttempts must be a positive integer');
+    if (typeof initialDelay !== 'number' || !Number.isFinite(initialDelay) || initialDelay < 0)
+      throw new TypeError('policy.initialDelay must be a non-negative number');
+    if (typeof maxDelay !== 'number' || Number.isNaN(maxDelay) || maxDelay < initialDelay)
+      throw new TypeError('policy.maxDelay must be a number greater than or equal to initialDelay');
+    if (typeof factor !== 'number' || !Number.isFinite(factor) || factor < 1)
+      throw new TypeError('policy.factor must be a number greater than or equal to 1');
+    if (!Number.isInteger(maxQueue) || maxQueue < 0)
+      throw new TypeError('policy.maxQueue must be a non-negative integer');
+    if (!['reads', 'all', 'none'].includes(replay))
+      throw new TypeError("policy.replay must be 'reads', 'all' or 'none'");
+    this.#reconnectPolicy = { maxAttempts, initialDelay, maxDelay, factor, maxQueue, replay };
+  }
+
+  /**
+   * Returns the reconnect policy (`null` when disabled).
+   *
+   * @returns {Required<ReconnectPolicy>|null}
+   */
+  getReconnectPolicy() {
+    return this.#reconnectPolicy ? { ...this.#reconnectPolicy } : null;
+  }
+
+  /**
+   * Checks whether the instance is waiting for the connection to come back.
+   *
+   * @returns {boolean}
+   */
+  isReconnecting() {
+    return this.#reconnectQueue !== null;
+  }
+
+  /**
+   * Queues a query until the connection is back, starting the reconnect loop if needed.
+   *
+   * @param {EngineAdapter} adapter - The engine adapter.
+   * @param {Error} [error] - The connection error that made the query fail.
+   * @returns {Promise<void>} Resolves when the connection is back.
+   * @throws {Error} If the queue is full, or rejects when the reconnect gives up.
+   */
+  #waitForReconnect(adapter, error) {
+    const policy = this.#reconnectPolicy;
+    if (!policy) return Promise.resolve();
+    const queue = this.#reconnectQueue ?? [];
+    if (queue.length >= policy.maxQueue)
+      return Promise.reject(
+        new Error(`[PuddySql] The reconnect queue is full (${policy.maxQueue} pending queries).`, {
+          cause: error,
+        }),
+      );
+
+    /** @type {Promise<void>} */
+    const waiting = new Promise((resolve, reject) => queue.push({ resolve, reject }));
+    if (!this.#reconnectQueue) {
+      this.#reconnectQueue = queue;
+      this.#reconnect(adapter, policy, queue, error);
+    }
+    return waiting;
+  }
+
+  /**
+   * Starts the reconnect loop without queueing a query (when the failed query is not replayed).
+   *
+   * @param {EngineAdapter} adapter - The engine adapter.
+   * @param {Error} error - The connection error that made the query fail.
+   */
+  #startReconnect(adapter, error) {
+    const policy = this.#reconnectPolicy;
+    if (!policy || this.#reconnectQueue) return;
+    /** @type {{ resolve: () => void, reject: (err: Error) => void }[]} */
+    const queue = [];
+    this.#reconnectQueue = queue;
+    this.#reconnect(adapter, policy, queue, error);
+  }
+
+  /**
+   * Tries to reach the database until it answers or the attempts run out,
+   * then settles the queued queries.
+   *
+   * @param {EngineAdapter} adapter - The engine adapter.
+   * @param {Required<ReconnectPolicy>} policy - The policy in use.
+   * @param {{ resolve: () => void, reject: (err: Error) => void }[]} queue - The queued queries.
+   * @param {Error} [error] - The connection error that started the loop.
+   * @returns {Promise<void>}
+   */
+  async #reconnect(adapter, policy, queue, error) {
+    const start = Date.now();
+    let lastError = error ?? new Error('[PuddySql] The connection is not available.');
+
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      const delay = Math.min(policy.initialDelay * policy.factor ** (attempt - 1), policy.maxDelay);
+      this.#emit(PuddySqlEvents.Reconnecting, { attempt, delay, error: lastError });
+      this.log('warn', 'Reconnecting to the database', {
+        attempt,
+        delay,
+        error: lastError.message,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      // Stopped by destroy()
+      if (this.#reconnectQueue !== queue) return;
+      try {
+        // @ts-ignore
+        await adapter.ping(this.#db);
+      } catch (err) {
+        if (err instanceof Error) lastError = err;
+        continue;
+      }
+
+      this.#reconnectQueue = null;
+      const downtime = Date.now() - start;
+      this.#emit(PuddySqlEvents.Reconnected, { attempts: attempt, downtime, queued: queue.length });
+      this.log('info', 'Reconnected to the database', { attempts: attempt, downtime });
+      for (const item of queue) item.resolve();
+      return;
+    }
+
+    this.#reconnectQueue = null;
+    this.log('error', 'Could not reconnect to the database', {
+      attempts: policy.maxAttempts,
+      error: lastError,
+    });
+    for (const item of queue) item.reject(lastError);
+  }
+
+  /**
+   * Adds a middleware wrapped around every `all`/`get`/`run` call, including the queries of
+   * tables and transactions.
+   *
+   * Middlewares run in registration order, before the parameter validation and the query events,
+   * so a rewritten query is the one validated, logged and executed. This is the hook for cross-cutting
+   * needs such as tenant scoping, query rewriting, timing, caching and auditing.
+   *
+   * @param {QueryMiddleware} middleware - The middleware.
+   * @returns {() => void} Removes the middleware.
+   * @throws {TypeError} If the middleware is not a function.
+   *
+   * @example
+   * db.use(async (ctx, next) => {
+   *   const start = Date.now();
+   *   await next();
+   *   audit.push({ table: ctx.table, debugName: ctx.debugName, ms: Date.now() - start });
+   * });
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') throw new TypeError('middleware must be a function');
+    this.#middlewares.push(middleware);
+    return () => {
+      const index = this.#middlewares.indexOf(middleware);
+      if (index > -1) this.#middlewares.splice(index, 1);
+    };
+  }
+
+  /**
+   * Runs the middlewares of a query, then the final step.
+   *
+   * @param {QueryContext} ctx - The query context.
+   * @param {() => Promise<void>} final - Sends the query to the database.
+   * @returns {Promise<void>}
+   */
+  async #runMiddlewares(ctx, final) {
+    const middlewares = [...this.#middlewares];
+
+    /**
+     * @param {number} index
+     * @returns {Promise<void>}
+     */
+    const dispatch = async (index) => {
+      if (index >= middlewares.length) return final();
+      let called = false;
+      await middlewares[index](ctx, async () => {
+        if (called) throw new Error('next() called multiple times in the same middleware');
+        called = true;
+        await dispatch(index + 1);
+      });
+    };
+    await dispatch(0);
+  }
+
+  /**
+   * Validates a retry policy and fills the missing options with the defaults.
+   *
+   * @param {RetryPolicy} policy - The policy to validate.
+   * @returns {Required<RetryPolicy>}
+   * @throws {TypeError} If an option is invalid.
+   */
+  #normalizeRetryPolicy(policy) {
+    if (!isJsonObject(policy)) throw new TypeError('retry policy must be a plain object');
+    const {
+      maxAttempts = 3,
+      initialDelay = 50,
+      maxDelay = 1000,
+      factor = 2,
+      jitter = 0.5,
+      retryOn = ['busy', 'locked', 'serialization', 'deadlock'],
+    } = policy;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1)
+      throw new TypeError('retry policy maxAttempts must be a positive integer');
+    if (typeof initialDelay !== 'number' || !Number.isFinite(initialDelay) || initialDelay < 0)
+      throw new TypeError('retry policy initialDelay must be a non-negative number');
+    if (typeof maxDelay !== 'number' || Number.isNaN(maxDelay) || maxDelay < initialDelay)
+      throw new TypeError(
+        'retry policy maxDelay must be a number greater than or equal to initialDelay',
+      );
+    if (typeof factor !== 'number' || !Number.isFinite(factor) || factor < 1)
+      throw new TypeError('retry policy factor must be a number greater than or equal to 1');
+    if (typeof jitter !== 'number' || Number.isNaN(jitter) || jitter < 0 || jitter > 1)
+      throw new TypeError('retry policy jitter must be a number between 0 and 1');
+    if (
+      typeof retryOn !== 'function' &&
+      (!Array.isArray(retryOn) || retryOn.some((item) => typeof item !== 'string'))
+    )
+      throw new TypeError('retry policy retryOn must be an array of error classes or a function');
+    return { maxAttempts, initialDelay, maxDelay, factor, jitter, retryOn };
+  }
+
+  /**
+   * Enables or disables the retry of queries that fail with transient errors.
+   *
+   * Transient errors are classified by the engine adapter (`getErrorClass()`): `SQLITE_BUSY`/`SQLITE_LOCKED`
+   * on SQLite, and serialization failures (`40001`), deadlocks (`40P01`) and lock timeouts (`55P03`) on PostgreSQL.
+   * Each retry emits `PuddySqlEvents.QueryRetried`. A single call can use another policy with
+   * the `retry` option of `all`/`get`/`run`.
+   *
+   * Queries of a transaction with a dedicated connection are never retried,
+   * since the failed statement aborts the whole transaction.
+   *
+   * @param {RetryPolicy|null} policy - The policy (missing options use the defaults), or `null` to disable it.
+   * @throws {TypeError} If an option is invalid.
+   */
+  setRetryPolicy(policy) {
+    this.#retryPolicy = policy === null ? null : this.#normalizeRetryPolicy(policy);
+  }
+
+  /**
+   * Returns the retry policy (`null` when disabled).
+   *
+   * @returns {Required<RetryPolicy>|null}
+   */
+  getRetryPolicy() {
+    return this.#retryPolicy ? { ...this.#retryPolicy } : null;
+  }
+
   /**
    * Initializes a new table.
    *
@@ -427,6 +880,11 @@ class PuddySqlInstance extends PuddySqlEngine {
    * The table name and column data are passed into the `PuddySqlQuery` submodule to construct the table schema.
    * Additional settings can be provided to customize the behavior of the table (e.g., `select`, `order`, `id`).
    *
+   * When `settings.autoSync` is enabled, the declared columns are compared with the real table
+   * (which `CREATE TABLE IF NOT EXISTS` does not change). `true` applies the differences, while
+   * `'dry-run'` only reports them through `PuddySqlEvents.SchemaDrift`. Undeclared columns are only
+   * removed when `settings.allowDrop` is `true`, so data is never dropped by accident.
+   *
    * @param {TableSettings} [settings={}] - Optional settings to customize the table creation. This can include properties like `select`, `join`, `order`, `id`, etc.
    * @param {SqlTableConfig} [tableData=[]] - An array of columns and their definitions to create the table. Each column is defined by an array, which can include column name, type, and additional settings.
    * @returns {Promise<PuddySqlQuery>} Resolves to the `PuddySqlQuery` instance associated with the created or existing table.
@@ -438,7 +896,91 @@ class PuddySqlInstance extends PuddySqlEngine {
     if (!this.#tables[settings.name]) {
       const newTable = new PuddySqlQuery();
       newTable.setDb(settings, this);
+      // The table is only introspected when someone listens to the event
+      const isNew =
+        this.#events.listenerCount(PuddySqlEvents.TableCreated) > 0 &&
+        (await newTable.getDbColumns()).length === 0;
       await newTable.createTable(tableData);
+      if (isNew)
+        this.#emit(PuddySqlEvents.TableCreated, { table: settings.name, columns: tableData });
+      if (settings.autoSync === true || settings.autoSync === 'dry-run')
+        await this.#syncTable(
+          newTable,
+          tableData,
+          settings.autoSync === 'dry-run',
+          settings.allowDrop === true,
+        );
+
+      this.#tables[settings.name] = newTable;
+      return this.#tables[settings.name];
+    }
+    throw new Error('This table has already been initialized');
+  }
+
+  /**
+   * Compares the declared columns of a table with the real table and applies the differences.
+   *
+   * Emits `PuddySqlEvents.SchemaDrift` when differences are found. In dry-run mode,
+   * the changes are only reported (event and console warning); otherwise they are applied
+   * with `updateTable()` in strict mode. They are not wrapped in a transaction, since a SQLite3
+   * table rebuild (which opens its own) cannot run inside one while foreign keys are enabled.
+   * `REMOVE` changes are only applied with `allowDrop`; otherwise the columns are kept and a warning is logged.
+   *
+   * @param {PuddySqlQuery} table - The table to check.
+   * @param {SqlTableConfig} tableData - The declared columns.
+   * @param {boolean} dryRun - If true, the changes are not applied.
+   * @param {boolean} allowDrop - If true, undeclared columns are removed.
+   * @returns {Promise<void>}
+   */
+  async #syncTable(table, tableData, dryRun, allowDrop) {
+    const changes = await table.diffSchema(tableData);
+    if (changes.length === 0) return;
+
+    const name = table.getTableName();
+    this.#emit(PuddySqlEvents.SchemaDrift, { table: name, changes, dryRun });
+    if (dryRun) {
+      this.log('warn', `[autoSync] Table "${name}" differs from its declaration`, {
+        table: name,
+        changes,
+      });
+      return;
+    }
+
+    const kept = allowDrop ? [] : changes.filter(([action]) => action === 'REMOVE');
+    if (kept.length > 0)
+      this.log(
+        'warn',
+        `[autoSync] Kept undeclared columns of "${name}" (set allowDrop to remove them)`,
+        {
+          table: name,
+          columns: kept.map(([, column]) => column),
+        },
+      );
+
+    const applied = changes.filter((change) => !kept.includes(change));
+    if (applied.length === 0) return;
+    await table.updateTable(applied, true);
+  }
+
+  /**
+   * Initializes a table that already exists in the database, without declaring its columns.
+   *
+   * Works like `initTable()`, but instead of running `CREATE TABLE IF NOT EXISTS`, the column
+   * list is read from the live database (`PRAGMA table_info` on SQLite3, `information_schema`
+   * on PostgreSQL). This allows wrapping legacy tables without copying their DDL into JS.
+   *
+   * @param {TableSettings} [settings={}] - Table settings, the same accepted by `initTable()`.
+   * @param {string[]} [tagColumns=[]] - Names of the JSON columns that should be handled as "TAGS".
+   * @returns {Promise<PuddySqlQuery>} Resolves to the `PuddySqlQuery` instance of the attached table.
+   * @throws {Error} If the table has already been initialized or does not exist in the database.
+   */
+  async attachTable(settings = {}, tagColumns = []) {
+    if (!isJsonObject(settings)) throw new TypeError('settings must be a plain object');
+    if (typeof settings.name !== 'string') throw new TypeError('settings.name must be a string');
+    if (!this.#tables[settings.name]) {
+      const newTable = new PuddySqlQuery();
+      newTable.setDb(settings, this);
+      await newTable.attachTable(tagColumns);
 
       this.#tables[settings.name] = newTable;
       return this.#tables[settings.name];
@@ -463,6 +1005,54 @@ class PuddySqlInstance extends PuddySqlEngine {
     return table;
   }
 
+  /**
+   * Removes the cached results of an initialized table, or of every table.
+   *
+   * Tables clear their own cache when they write, and `run()` queries that write a cached table
+   * clear it too. Use this after changes the instance cannot see (e.g. made by another process).
+   *
+   * @param {string} [tableName] - The table name. Every table when omitted.
+   * @throws {Error} If the table does not exist.
+   */
+  clearCache(tableName) {
+    if (typeof tableName === 'undefined') {
+      for (const table of Object.values(this.#tables)) table.clearCache();
+      return;
+    }
+    this.getTable(tableName).clearCache();
+  }
+
+  /**
+   * Clears the cache of the initialized tables written by a `run()` query,
+   * except the table that sent it (which already clears its own cache).
+   *
+   * Only the targets of `INSERT INTO`, `REPLACE INTO`, `UPDATE`, `DELETE FROM`, `ALTER TABLE`,
+   * `DROP TABLE` and `TRUNCATE` count, so columns, aliases and strings that contain a table name
+   * do not clear its cache.
+   *
+   * @param {string} query - The executed SQL query.
+   * @param {string|null} source - The table that sent the query, if any.
+   */
+  #clearWrittenCaches(query, source) {
+    const targets = new Set();
+    const writeRegex =
+      /\b(?:(?:INSERT|REPLACE)(?:\s+OR\s+\w+)?\s+INTO|UPDATE(?:\s+OR\s+\w+)?|DELETE\s+FROM|(?:ALTER|DROP)\s+TABLE(?:\s+IF\s+EXISTS)?|TRUNCATE(?:\s+TABLE)?)\s+(?:ONLY\s+)?((?:[\w"`[\]]+\.)?[\w"`[\]]+)/gi;
+    // String literals are removed first, so their text is never read as a target
+    for (const match of query.replace(/'(?:[^']|'')*'/g, "''").matchAll(writeRegex))
+      targets.add(
+        match[1]
+          .split('.')
+          .pop()
+          ?.replace(/["`[\]]/g, '')
+          .toLowerCase(),
+      );
+    if (targets.size === 0) return;
+
+    for (const [name, table] of Object.entries(this.#tables))
+      if (name !== source && table.getCache() && targets.has(name.toLowerCase()))
+        table.clearCache();
+  }
+
   /**
    * Checks if a table with the given name exists.
    *
@@ -507,10 +1097,157 @@ class PuddySqlInstance extends PuddySqlEngine {
       throw new TypeError('tableName must be a non-empty string');
     const table = this.#tables[tableName];
     if (!table) throw new Error(`Table "${tableName}" does not exist and cannot be dropped`);
-    await table.dropTable();
+    if (await table.dropTable()) this.#emit(PuddySqlEvents.TableDropped, { table: tableName });
     this.removeTable(tableName);
   }
 
+  /**
+   * Runs the callback inside a database transaction.
+   *
+   * The transaction is opened with `BEGIN`, committed with `COMMIT` when the callback resolves,
+   * and rolled back with `ROLLBACK` when it throws (the error is then rethrown).
+   * The callback receives a `PuddySqlTransaction`, whose `all`/`get`/`run` methods and tables
+   * (through `tx.getTable()`) execute every query on the same connection.
+   * Calling `tx.transaction()` inside the callback creates a nested scope using a SAVEPOINT.
+   *
+   * On PostgreSQL, a dedicated client is checked out from the pool for the whole transaction.
+   * On SQLite3, transactions are queued and executed one at a time, because the database has a single
+   * connection. A `db.transaction()` call made by the callback itself (directly or through helpers such as
+   * `initTable()` or the migrations) cannot wait for that queue, so it runs as a SAVEPOINT of the open scope.
+   * While a transaction holds the connection, queries sent to the instance from outside of the callback
+   * wait until it finishes, so they never run inside the open transaction.
+   *
+   * @param {TransactionCallback} callback - Function that receives the transaction scope.
+   * @returns {Promise<any>} Resolves with the value returned by the callback.
+   * @throws {Error} If no SQL engine has been initialized or the callback fails.
+   *
+   * @example
+   * await db.transaction(async (tx) => {
+   *   const posts = tx.getTable('posts');
+   *   await posts.set('1', { title: 'Pudding' });
+   *   await tx.transaction(async (sp) => {
+   *     await sp.getTable('posts').update('1', { title: 'Pudding 2' });
+   *   });
+   * });
+   */
+  async transaction(callback) {
+    if (typeof callback !== 'function') throw new TypeError('callback must be a function');
+    const adapter = this.#adapter;
+    if (!adapter)
+      throw new Error(
+        `[PuddySql] You must choose a SQL engine (sqlite3 or pg) before using the 'transaction' method.`,
+      );
+
+    /** @type {() => void} */
+    let unlock = () => {};
+    const acquire = adapter.acquire;
+
+    // Waiting for the queue from inside the open transaction would never end
+    const current = this.#transactionContext.getStore();
+    if (!acquire && current) return current.tx.transaction(callback);
+
+    if (!acquire) {
+      const previous = this.#transactionQueue;
+      this.#transactionQueue = new Promise((resolve) => (unlock = resolve));
+      await previous;
+    }
+
+    try {
+      /** @type {TransactionClient} */
+      let client;
+
+      // A dedicated connection, otherwise each query could land on a different connection of a pool
+      if (acquire) {
+        const conn = await acquire(this.#db);
+        client = { ...this.#createMethods(adapter, conn.db), release: conn.release };
+      }
+
+      // Single connection engines reuse the same methods
+      else client = { all: this.all, get: this.get, run: this.run, release: () => {} };
+
+      /** @type {() => void} */
+      let free = () => {};
+      /** @type {Promise<void>} */
+      const done = new Promise((resolve) => (free = resolve));
+      const tx = new PuddySqlTransaction(this, client);
+      const owner = { done, tx };
+      if (!acquire) this.#connectionOwner = owner;
+
+      try {
+        return await this.#transactionContext.run(owner, () => tx.execute(callback));
+      } finally {
+        // A connection whose ROLLBACK failed is in an unknown state, so the pool must not reuse it
+        client.release(tx.getRollbackError() ?? undefined);
+        if (this.#connectionOwner === owner) this.#connectionOwner = null;
+        free();
+      }
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Registers a versioned migration.
+   *
+   * A migration has a unique positive `version` and an `up` step (plus an optional `down` step).
+   * Each step can be a function that receives the transaction scope, or an array of `updateTable`
+   * changes applied to `migration.table`.
+   *
+   * @param {Migration} migration - The migration definition.
+   * @throws {Error} If the migration is invalid or its version is already registered.
+   *
+   * @example
+   * db.addMigration({
+   *   version: 1,
+   *   name: 'add posts.rating',
+   *   table: 'posts',
+   *   up: [['ADD', 'rating', 'TEXT']],
+   *   down: [['REMOVE', 'rating']],
+   * });
+   */
+  addMigration(migration) {
+    this.#migrations.add(migration);
+  }
+
+  /**
+   * Returns the migration manager of this instance.
+   *
+   * @returns {PuddySqlMigrations}
+   */
+  getMigrations() {
+    return this.#migrations;
+  }
+
+  /**
+   * Returns the highest migration version applied to the database (`0` if none).
+   *
+   * @returns {Promise<number>}
+   */
+  getMigrationVersion() {
+    return this.#migrations.getCurrentVersion();
+  }
+
+  /**
+   * Applies or reverts migrations until the database reaches the given version.
+   * Each migration runs in its own transaction and is recorded in the `_puddysql_migrations` table.
+   *
+   * @param {number} [version] - Target version. Defaults to the latest registered version.
+   * @returns {Promise<number>} The current version after the run.
+   */
+  migrateTo(version) {
+    return this.#migrations.migrateTo(version);
+  }
+
+  /**
+   * Reverts the last applied migrations using their `down` steps.
+   *
+   * @param {number} [steps=1] - How many migrations should be reverted.
+   * @returns {Promise<number>} The current version after the rollback.
+   */
+  rollback(steps) {
+    return this.#migrations.rollback(steps);
+  }
+
   /**
    * Returns the raw database instance currently in use.
    *
@@ -543,28 +1280,457 @@ class PuddySqlInstance extends PuddySqlEngine {
     }
   }
 
+  /**
+   * Wraps a native connection with the SQL methods (`all`, `get`, `run`) used by this instance.
+   *
+   * This is the single execution path of every engine: it validates the `$n` placeholders,
+   * prints the debug output (or sends it to the logger), calls the adapter and emits
+   * `PuddySqlEvents.ConnectionError` when the adapter classifies an error as a connection error.
+   * Driver errors recognized by the adapter (`parseError()`) are thrown as `PuddySql.Errors` classes.
+   *
+   * Queries of the main connection (outside of transactions) are retried on transient errors (see `setRetryPolicy()`),
+   * and wait for the connection and are replayed once when the reconnect policy is enabled
+   * (see `setReconnectPolicy()`).
+   *
+   * @param {EngineAdapter} adapter - The engine adapter.
+   * @param {any} conn - The native connection (or a dedicated transaction client).
+   * @param {boolean} [isMain=false] - Whether `conn` is the main connection of the instance.
+   * @returns {{ all: PuddySqlEngine['all'], get: PuddySqlEngine['get'], run: PuddySqlEngine['run'] }}
+   */
+  #createMethods(adapter, conn, isMain = false) {
+    /**
+     * Sends SQL debug information to the console, including query and parameters.
+     *
+     * @param {number} id - The debug operation ID.
+     * @param {string} debugName - An optional label to identify the debug context.
+     * @param {string} query - The SQL query being executed.
+     * @param {any[]} params - The parameters passed to the query.
+     * @returns {void}
+     */
+    const sendSqlDebug = (id, debugName, query, params) => {
+      if (this.#debug && this.getLogger() === consoleLogger) {
+        console.log(this.#debugConsoleText(id, debugName), params);
+        console.log(this.#debugSql(query));
+      }
+    };
+
+    /**
+     * Sends SQL result debug information to the console.
+     *
+     * @param {number} id - The debug operation ID.
+     * @param {string} debugName - An optional label to identify the debug context.
+     * @param {any} data - The result data to output.
+     * @returns {void}
+     */
+    const sendSqlDebugResult = (id, debugName, data) => {
+      if (this.#debug && this.getLogger() === consoleLogger)
+        console.log(
+          this.#debugConsoleText(id, debugName),
+          typeof data !== 'undefined' && data !== null && (!Array.isArray(data) || data.length > 0)
+            ? data
+            : 'Success!',
+        );
+    };
+
+    /**
+     * Sends the structured record of a finished query to a custom logger (debug mode only).
+     *
+     * @param {QueryEventInfo} info - The query info.
+     * @param {number} duration - The query duration in milliseconds.
+     * @param {{ rowCount: number }|null} result - The result summary, or `null` if the query failed.
+     * @param {unknown} [error] - The error thrown by the query.
+     * @returns {void}
+     */
+    const sendSqlLog = (info, duration, result, error) => {
+      if (!this.#debug || this.getLogger() === consoleLogger) return;
+      const { id, debugName, method, query, params } = info;
+      const data = { id, debugName, method, sql: query, params, durationMs: duration };
+      if (result) this.log('debug', 'SQL query', { ...data, result });
+      else this.log('error', 'SQL query failed', { ...data, error });
+    };
+
+    /**
+     * Counts the rows returned or changed by a query.
+     *
+     * @param {'all'|'get'|'run'} method
+     * @param {any} result - The normalized result.
+     * @returns {number}
+     */
+    const countRows = (method, result) => {
+      if (method === 'all') return Array.isArray(result) ? result.length : 0;
+      if (method === 'get') return result ? 1 : 0;
+      const count = isJsonObject(result) ? result[adapter.resultCountKey] : null;
+      return typeof count === 'number' ? count : 0;
+    };
+
+    /**
+     * Calls the adapter, emitting `PuddySqlEvents.ConnectionError` for connection errors.
+     *
+     * Queries of the main connection wait while a transaction started elsewhere holds it.
+     * With the retry policy, a query that fails with a transient error is sent again after a jittered backoff.
+     * With the reconnect policy, the query waits while reconnecting, and a query that fails
+     * with a connection error is replayed once after the connection is back (if the `replay` option allows it).
+     *
+     * @param {QueryEventInfo} info - The query info.
+     * @param {Required<RetryPolicy>|null} retry - The retry policy of this call.
+     * @returns {Promise<any>}
+     */
+    const callAdapter = async (info, retry) => {
+      const { method, query, params } = info;
+
+      // The single connection is inside a transaction started by another call chain
+      if (isMain)
+        while (
+          this.#connectionOwner &&
+          this.#transactionContext.getStore() !== this.#connectionOwner
+        )
+          await this.#connectionOwner.done;
+
+      // Statements of a transaction on the single connection are never retried or replayed,
+      // since the transaction state can be lost between the attempts
+      const inTransaction = isMain && this.#connectionOwner !== null;
+      const canReconnect = () =>
+        isMain &&
+        !inTransaction &&
+        this.#reconnectPolicy !== null &&
+        typeof adapter.ping === 'function';
+      /** @param {string} sql */
+      const canReplay = (sql) => {
+        const replay = this.#reconnectPolicy?.replay;
+        return replay === 'all' || (replay === 'reads' && /^\s*SELECT\b/i.test(sql));
+      };
+      if (canReconnect() && this.#reconnectQueue) await this.#waitForReconnect(adapter);
+
+      let replayed = false;
+      let attempt = 1;
+      while (true) {
+        try {
+          return await adapter[method](conn, query, params);
+        } catch (err) {
+          if (!(err instanceof Error)) throw err;
+          if (this.isConnectionError(err)) {
+            this.#emit(PuddySqlEvents.ConnectionError, err);
+            if (replayed || !canReconnect()) throw err;
+            if (!canReplay(query)) {
+              this.#startReconnect(adapter, err);
+              throw err;
+            }
+            await this.#waitForReconnect(adapter, err);
+            replayed = true;
+            continue;
+          }
+
+          if (!isMain || inTransaction || !retry || attempt >= retry.maxAttempts) throw err;
+          const errorClass = adapter.getErrorClass ? adapter.getErrorClass(err) : null;
+          const shouldRetry =
+            typeof retry.retryOn === 'function'
+              ? retry.retryOn(err, errorClass) === true
+              : errorClass !== null && retry.retryOn.includes(errorClass);
+          if (!shouldRetry) throw err;
+
+          const backoff = Math.min(
+            retry.initialDelay * retry.factor ** (attempt - 1),
+            retry.maxDelay,
+          );
+          const delay = backoff - backoff * retry.jitter * Math.random();
+          this.#emit(PuddySqlEvents.QueryRetried, {
+            ...info,
+            attempt,
+            delay,
+            error: err,
+            errorClass,
+          });
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          attempt++;
+        }
+      }
+    };
+
+    /**
+     * Converts a driver error into the matching `PuddySql.Errors` class.
+     * Errors the adapter does not recognize are returned as they are.
+     *
+     * @param {unknown} err - The error thrown by the adapter.
+     * @param {QueryEventInfo} info - The query info.
+     * @returns {unknown}
+     */
+    const toSqlError = (err, info) => {
+      if (!(err instanceof Error) || !adapter.parseError) return err;
+      const parsed = adapter.parseError(err);
+      if (!parsed || !errorClasses[parsed.type]) return err;
+
+      // The target table of INSERT/UPDATE/DELETE when the driver does not tell it
+      const target = info.query.match(
+        /^\s*(?:INSERT(?:\s+OR\s+\w+)?\s+INTO|UPDATE(?:\s+OR\s+\w+)?|DELETE\s+FROM)\s+["`]?([A-Za-z_][\w.]*)/i,
+      );
+      const table = parsed.table ?? (target && parsed.type !== 'syntax' ? target[1] : null);
+      return new errorClasses[parsed.type](
+        err,
+        { ...parsed, table },
+        { sql: info.query, params: info.params, debugName: info.debugName },
+      );
+    };
+
+    /**
+     * Creates a SQL method that runs the middlewares, then calls the adapter and normalizes its result.
+     *
+     * @param {'all'|'get'|'run'} method - The adapter method to call.
+     * @param {(result: any) => any} parse - Converts invalid results into `null`.
+     * @returns {(query: string, params?: any[], debugName?: string, options?: QueryOptions) => Promise<any>}
+     */
+    const createMethod = (method, parse) => {
+      /**
+       * Sends the query to the database (the last step of the middleware pipeline).
+       *
+       * @param {string} query - The SQL query.
+       * @param {any[]} params - The query parameters.
+       * @param {string} debugName - Label sent by the caller.
+       * @param {QueryOptions} options - Options of this call.
+       * @returns {Promise<any>}
+       */
+      const execute = async (query, params, debugName, options) => {
+        const id = this.#debugCount++;
+        /** @type {QueryEventInfo} */
+        const info = { id, debugName, method, query, params };
+        const start = performance.now();
+
+        let result;
+        try {
+          validatePostgresParams(query, params);
+          if (!isJsonObject(options)) throw new TypeError('options must be a plain object');
+          const retry =
+            typeof options.retry === 'undefined'
+              ? this.#retryPolicy
+              : options.retry === false
+                ? null
+                : this.#normalizeRetryPolicy(options.retry);
+
+          this.#emit(PuddySqlEvents.QueryStart, info);
+          sendSqlDebug(id, debugName, query, params);
+          result = parse(await callAdapter(info, retry));
+        } catch (err) {
+          const error = toSqlError(err, info);
+          const duration = performance.now() - start;
+          sendSqlLog(info, duration, null, error);
+          this.#emit(PuddySqlEvents.QueryError, { ...info, duration, error });
+          throw error;
+        }
+
+        const duration = performance.now() - start;
+        const rowCount = countRows(method, result);
+        sendSqlDebugResult(id, debugName, result);
+        sendSqlLog(info, duration, { rowCount });
+        this.#emit(PuddySqlEvents.QueryEnd, { ...info, duration, rowCount });
+
+        const threshold = this.#slowQueryThreshold;
+        if (threshold !== null && duration >= threshold)
+          this.#emit(PuddySqlEvents.SlowQuery, { ...info, duration, rowCount, threshold });
+        return result;
+      };
+
+      return async (query, params = [], debugName = '', options = {}) => {
+        /** @type {QueryContext} */
+        const ctx = {
+          method,
+          query,
+          params,
+          debugName,
+          table: isJsonObject(options) && typeof options.table === 'string' ? options.table : null,
+          options,
+          result: undefined,
+        };
+        await this.#runMiddlewares(ctx, async () => {
+          ctx.result = await execute(ctx.query, ctx.params, ctx.debugName, ctx.options);
+        });
+        if (method === 'run') this.#clearWrittenCaches(ctx.query, ctx.table);
+        return ctx.result;
+      };
+    };
+
+    return {
+      all: createMethod('all', (result) => (Array.isArray(result) ? result : null)),
+      get: createMethod('get', (result) => (isJsonObject(result) ? result : null)),
+      run: createMethod('run', (result) => (isJsonObject(result) ? result : null)),
+    };
+  }
+
+  /**
+   * Sets the SQL engine of this instance using an existing native connection.
+   *
+   * The engine must be registered (see `PuddySqlInstance.registerEngine()`).
+   * Built-in engines are `sqlite3` (a `sqlite` Database) and `postgre` (a `pg` Pool).
+   *
+   * @param {string} name - Registered engine name.
+   * @param {any} db - The native connection used by the engine adapter.
+   * @throws {Error} If the engine is not registered, `db` is invalid, or a SQL engine is already set.
+   */
+  setEngine(name, db) {
+    const adapter = PuddySqlEngine.getEngine(name);
+    if (adapter.isDb && !adapter.isDb(db))
+      throw new Error(`Invalid type for db. Expected a ${name} connection.`);
+    if (!this.isSqlEngineEmpty())
+      throw new Error('SQL has already been initialized in this instance!');
+
+    this.setSqlEngine(name);
+    this.#db = db;
+    this.#adapter = adapter;
+
+    // Connection errors emitted outside of queries
+    if (adapter.listen)
+      adapter.listen(db, (err) => {
+        if (err instanceof Error && this.isConnectionError(err))
+          this.#emit(PuddySqlEvents.ConnectionError, err);
+      });
+
+    const methods = this.#createMethods(adapter, db, true);
+    this.all = methods.all;
+    this.get = methods.get;
+    this.run = methods.run;
+  }
+
+  /**
+   * Opens a new connection with a registered engine and sets it as the SQL engine of this instance.
+   *
+   * @param {string} name - Registered engine name.
+   * @param {any} [config] - Connection config passed to the adapter `connect()` function.
+   * @returns {Promise<void>} Resolves when the connection is ready and the engine is set.
+   * @throws {Error} If the engine is not registered, cannot open connections, or a SQL engine is already set.
+   */
+  async initEngine(name, config) {
+    if (!this.isSqlEngineEmpty())
+      throw new Error('SQL has already been initialized in this instance!');
+    const adapter = PuddySqlEngine.getEngine(name);
+    if (!adapter.connect)
+      throw new Error(
+        `SQL engine "${name}" cannot open connections. Use setEngine() with an existing connection.`,
+      );
+    this.setEngine(name, await adapter.connect(config));
+  }
+
   /**
    * Initializes an SQLite3 >= 3.35.0 database connection and sets up the SQL engine for this instance.
    *
-   * This method creates a new SQLite3 database using the specified file path (or in-memory by default),
-   * assigns the SQL engine behavior using `setSqlite3()`, and sets up a `SIGINT` listener to ensure
-   * the database is properly closed when the process is interrupted.
+   * This method creates a new SQLite3 database using the specified file path (or in-memory by default)
+   * and assigns the SQL engine behavior using `setSqlite3()`. The open mode and pragmas of `options`
+   * are applied right after the database opens.
    *
    * @param {string} [filePath=':memory:'] - Path to the SQLite3 database file. Defaults to in-memory.
+   * @param {SqliteOptions} [options={}] - Open mode and pragmas.
    * @returns {Promise<void>} Resolves when the database is ready and the engine is set.
    * @throws {Error} If a SQL engine has already been initialized for this instance.
+   *
+   * @example
+   * await db.initSqlite3('./data.db', {
+   *   journalMode: 'WAL',
+   *   busyTimeout: 5000,
+   *   foreignKeys: true,
+   *   synchronous: 'NORMAL',
+   *   cacheSize: -20000,
+   * });
    */
-  async initSqlite3(filePath = ':memory:') {
-    if (this.isSqlEngineEmpty()) {
-      /** @type {SqliteDb} */
-      this.#db = await open({
-        filename: filePath,
-        driver: sqlite3.Database,
-      });
+  async initSqlite3(filePath = ':memory:', options = {}) {
+    if (typeof filePath !== 'string') throw new TypeError('filePath must be a string');
+    if (!isJsonObject(options)) throw new TypeError('options must be a plain object');
+    const {
+      readOnly = false,
+      mode,
+      journalMode,
+      busyTimeout,
+      foreignKeys,
+      synchronous,
+      cacheSize,
+      pragmas = {},
+    } = options;
+    if (typeof readOnly !== 'boolean') throw new TypeError('options.readOnly must be a boolean');
+    if (typeof mode !== 'undefined' && !Number.isInteger(mode))
+      throw new TypeError('options.mode must be an integer');
+    if (readOnly && typeof mode !== 'undefined')
+      throw new TypeError('options.readOnly cannot be used with options.mode');
+    if (!isJsonObject(pragmas)) throw new TypeError('options.pragmas must be a plain object');
+
+    /** @type {Record<string, string|number|boolean|undefined>} */
+    const settings = {
+      busy_timeout: busyTimeout,
+      journal_mode: journalMode,
+      synchronous,
+      foreign_keys: foreignKeys,
+      cache_size: cacheSize,
+      ...pragmas,
+    };
+    // Validated before opening the database
+    for (const [name, value] of Object.entries(settings))
+      if (typeof value !== 'undefined') this.#pragmaSql(name, value);
+
+    await this.initEngine('sqlite3', {
+      filePath,
+      mode: readOnly ? sqlite3.OPEN_READONLY : mode,
+    });
+    for (const [name, value] of Object.entries(settings))
+      if (typeof value !== 'undefined') await this.setPragma(name, value);
+  }
 
-      // Set SQL methods (all, get, run)
-      this.setSqlite3(this.#db);
-    } else throw new Error('SQL has already been initialized in this instance!');
+  /**
+   * Builds a `PRAGMA` statement. Pragmas do not accept bound parameters,
+   * so the name and the value are validated here.
+   *
+   * @param {string} name - The pragma name, optionally with a schema (`main.journal_mode`).
+   * @param {string|number|boolean} [value] - The value to set.
+   * @returns {string}
+   * @throws {TypeError} If the name or the value is invalid.
+   */
+  #pragmaSql(name, value) {
+    if (
+      typeof name !== 'string' ||
+      !/^([A-Za-z_][A-Za-z0-9_]*\.)?[A-Za-z_][A-Za-z0-9_]*$/.test(name)
+    )
+      throw new TypeError(`Invalid pragma name: ${name}`);
+    if (typeof value === 'undefined') return `PRAGMA ${name}`;
+
+    let sqlValue;
+    if (typeof value === 'boolean') sqlValue = value ? 'ON' : 'OFF';
+    else if (typeof value === 'number') {
+      if (!Number.isFinite(value))
+        throw new TypeError(`Invalid value for pragma ${name}: ${value}`);
+      sqlValue = String(value);
+    } else if (typeof value === 'string')
+      sqlValue = /^[A-Za-z0-9_-]+$/.test(value) ? value : `'${value.replace(/'/g, "''")}'`;
+    else throw new TypeError(`Pragma ${name} value must be a string, number or boolean`);
+    return `PRAGMA ${name} = ${sqlValue}`;
+  }
+
+  /**
+   * Returns the value of a SQLite pragma (the first column of the first row).
+   *
+   * @param {string} name - The pragma name, optionally with a schema (`main.journal_mode`).
+   * @returns {Promise<any>} The pragma value, or `null` if the pragma returns nothing.
+   * @throws {Error} If the SQL dialect is not SQLite, or the name is invalid.
+   */
+  async getPragma(name) {
+    if (this.getSqlDialect() !== 'sqlite3')
+      throw new Error('Pragmas are only available on SQLite engines.');
+    const row = await this.get(this.#pragmaSql(name), [], 'getPragma');
+    return row ? Object.values(row)[0] : null;
+  }
+
+  /**
+   * Sets a SQLite pragma and returns its new value.
+   *
+   * Booleans are sent as `ON`/`OFF`, and strings that are not plain keywords are quoted.
+   * Some pragmas silently keep their value (e.g. `journal_mode = WAL` on an in-memory database),
+   * so check the returned value when it matters.
+   *
+   * @param {string} name - The pragma name, optionally with a schema (`main.journal_mode`).
+   * @param {string|number|boolean} value - The value to set.
+   * @returns {Promise<any>} The pragma value after the change.
+   * @throws {Error} If the SQL dialect is not SQLite, or the name or value is invalid.
+   */
+  async setPragma(name, value) {
+    if (this.getSqlDialect() !== 'sqlite3')
+      throw new Error('Pragmas are only available on SQLite engines.');
+    if (typeof value === 'undefined') throw new TypeError('value is required');
+    // Some pragmas return rows when set (e.g. journal_mode)
+    await this.all(this.#pragmaSql(name, value), [], 'setPragma');
+    return this.getPragma(name);
   }
 
   /**
@@ -579,307 +1745,71 @@ class PuddySqlInstance extends PuddySqlEngine {
    */
   setSqlite3(db) {
     if (!(db instanceof Database)) throw new Error('Invalid type for db. Expected a Sqlite3.');
-    if (this.isSqlEngineEmpty()) {
-      this.setSqlEngine('sqlite3');
-
-      /**
-       * Checks if the given error is a connection error.
-       *
-       * @param {any} err - The error object to evaluate.
-       * @returns {boolean} Returns true if the error is a connection error.
-       */
-      const isConnectionError = (err) => this.isConnectionError(err);
-
-      /**
-       * Emits a 'connection-error' event if the error is related to connection issues.
-       *
-       * @param {any} err - The error object to check and possibly emit.
-       * @param {function} reject
-       * @returns {void}
-       */
-      const rejectConnection = (reject, err) => {
-        if (isConnectionError(err)) this.#emit(PuddySqlEvents.ConnectionError, err);
-        reject(err);
-      };
-      const getId = () => this.#debugCount++;
-      const isDebug = () => this.#debug;
-
-      /**
-       * Sends SQL debug information to the console, including query and parameters.
-       *
-       * @param {number} id - The debug operation ID.
-       * @param {string} debugName - An optional label to identify the debug context.
-       * @param {string} query - The SQL query being executed.
-       * @param {any[]} params - The parameters passed to the query.
-       * @returns {void}
-       */
-      const sendSqlDebug = (id, debugName, query, params) => {
-        if (isDebug()) {
-          console.log(this.#debugConsoleText(id, debugName), params);
-          console.log(this.#debugSql(query));
-        }
-      };
-
-      /**
-       * Sends SQL result debug information to the console.
-       *
-       * @param {number} id - The debug operation ID.
-       * @param {string} debugName - An optional label to identify the debug context.
-       * @param {string} type - Optional descriptor of the operation type.
-       * @param {any} data - The result data to output.
-       * @returns {void}
-       */
-      const sendSqlDebugResult = (id, debugName, type, data) => {
-        if (isDebug())
-          console.log(
-            this.#debugConsoleText(id, debugName, type),
-            typeof data !== 'undefined' &&
-              data !== null &&
-              (!Array.isArray(data) || data.length > 0)
-              ? data
-              : 'Success!',
-          );
-      };
-
-      /**
-       * Executes a query expected to return multiple rows.
-       *
-       * @param {string} query - The SQL query to execute.
-       * @param {any[*]} [params=[]] - Optional query parameters.
-       * @returns {Promise<Array<Object>|null>} Resolves with an array of result rows or null if invalid.
-       */
-      this.all = async function (query, params = [], debugName = '') {
-        return new Promise((resolve, reject) => {
-          validatePostgresParams(query, params, reject);
-          const id = getId();
-          sendSqlDebug(id, debugName, query, params);
-          db.all(query, params)
-            .then((result) => {
-              sendSqlDebugResult(id, debugName, '', result);
-              resolve(Array.isArray(result) ? result : null);
-            })
-            .catch((err) => rejectConnection(reject, err));
-        });
-      };
+    this.setEngine('sqlite3', db);
+  }
 
-      /**
-       * Executes a query expected to return a single row.
-       *
-       * @param {string} query - The SQL query to execute.
-       * @param {any[*]} [params=[]] - Optional query parameters.
-       * @returns {Promise<Record<any, any>|null>} Resolves with the result row or null if not a valid object.
-       */
-      this.get = async function (query, params = [], debugName = '') {
-        return new Promise((resolve, reject) => {
-          validatePostgresParams(query, params, reject);
-          const id = getId();
-          sendSqlDebug(id, debugName, query, params);
-          db.get(query, params)
-            .then((result) => {
-              sendSqlDebugResult(id, debugName, '', result);
-              resolve(isJsonObject(result) ? result : null);
-            })
-            .catch((err) => rejectConnection(reject, err));
-        });
-      };
+  /**
+   * Initializes a better-sqlite3 database connection and sets up the SQL engine for this instance.
+   *
+   * better-sqlite3 is an optional dependency with a synchronous driver, which is usually faster for
+   * local files and CLI tools. The `all`, `get` and `run` methods keep the same async contract
+   * and `$n` placeholder validation of the other engines.
+   *
+   * @param {string} [filePath=':memory:'] - Path to the database file. Defaults to in-memory.
+   * @param {import('better-sqlite3').Options} [options={}] - Options passed to the better-sqlite3 constructor.
+   * @returns {Promise<void>} Resolves when the database is ready and the engine is set.
+   * @throws {Error} If better-sqlite3 is not installed or a SQL engine has already been initialized.
+   */
+  async initBetterSqlite3(filePath = ':memory:', options = {}) {
+    return this.initEngine('better-sqlite3', { filePath, options });
+  }
 
-      /**
-       * Executes a query that modifies the database (e.g., INSERT, UPDATE, DELETE).
-       *
-       * @param {string} query - The SQL query to execute.
-       * @param {any[*]} params - Query parameters.
-       * @returns {Promise<Record<any, any>|null>} Resolves with the result object or null if invalid.
-       */
-      this.run = async function (query, params, debugName = '') {
-        return new Promise((resolve, reject) => {
-          validatePostgresParams(query, params, reject);
-          const id = getId();
-          sendSqlDebug(id, debugName, query, params);
-          db.run(query, params)
-            .then((result) => {
-              sendSqlDebugResult(id, debugName, '', result);
-              resolve(isJsonObject(result) ? result : null);
-            })
-            .catch((err) => rejectConnection(reject, err));
-        });
-      };
-    } else throw new Error('SQL has already been initialized in this instance!');
+  /**
+   * Sets better-sqlite3 as the SQL engine of this instance using an existing database.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database.
+   * @throws {Error} If a SQL engine has already been set for this instance.
+   */
+  setBetterSqlite3(db) {
+    this.setEngine('better-sqlite3', db);
   }
 
   /**
    * Initializes a PostgreSQL client and sets up the SQL engine for this instance.
    *
    * This method creates a new PostgreSQL `Pool` using the given configuration,
-   * connects to the database, and assigns the SQL engine behavior using `setPostgre()`.
-   * It also attaches a `SIGINT` listener to gracefully close the database connection
-   * when the process is terminated.
+   * checks that a connection can be opened, and assigns the SQL engine behavior using `setPostgre()`.
    *
    * @param {import('pg').PoolConfig} config - PostgreSQL client configuration object.
    *                          Must be compatible with the `pg` Pool constructor.
    * @throws {Error} If a SQL engine is already initialized for this instance.
    */
   async initPostgre(config) {
-    if (this.isSqlEngineEmpty()) {
-      /** @type {PgPool} */
-      this.#db = new pg.Pool(config);
-
-      // Set up the SQL methods (all, get, run)
-      this.setPostgre(this.#db);
-
-      // Connect to the PostgreSQL database
-      await this.#db.connect();
-    } else throw new Error('SQL has already been initialized in this instance!');
+    return this.initEngine('postgre', config);
   }
 
   /**
    * Initializes PostgreSQL-specific SQL methods on this instance using the provided database wrapper.
    *
    * This method sets the engine to "postgre" and defines the `all`, `get`, and `run` methods,
-   * wrapping around the provided `db` interface.
+   * wrapping around the provided `db` interface. Transactions check out a dedicated client from the pool.
    *
    * @param {PgPool} db - A PostgreSQL database instance that exposes `open()` and `query()` methods.
    * @throws {Error} If a SQL engine is already set for this instance.
    */
   setPostgre(db) {
     if (!(db instanceof pg.Pool)) throw new Error('Invalid type for db. Expected a PostgreSQL.');
-    if (!this.getSqlEngine()) {
-      this.setSqlEngine('postgre');
-
-      /**
-       * Checks if the given error is a connection error.
-       *
-       * @param {any} err - The error object to evaluate.
-       * @returns {boolean} Returns true if the error is a connection error.
-       */
-      const isConnectionError = (err) => this.isConnectionError(err);
-
-      /**
-       * Emits a 'connection-error' event if the error is related to connection issues.
-       *
-       * @param {any} err - The error object to check and possibly emit.
-       * @returns {void}
-       */
-      const rejectConnection = (err) => {
-        if (isConnectionError(err)) this.#emit(PuddySqlEvents.ConnectionError, err);
-      };
-      db.on('error', rejectConnection);
-
-      const getId = () => this.#debugCount++;
-      const isDebug = () => this.#debug;
-
-      /**
-       * Sends SQL debug information to the console, including query and parameters.
-       *
-       * @param {number} id - The debug operation ID.
-       * @param {string} debugName - An optional label to identify the debug context.
-       * @param {string} query - The SQL query being executed.
-       * @param {any[]} params - The parameters passed to the query.
-       * @returns {void}
-       */
-      const sendSqlDebug = (id, debugName, query, params) => {
-        if (isDebug()) {
-          console.log(this.#debugConsoleText(id, debugName), params);
-          console.log(this.#debugSql(query));
-        }
-      };
-
-      /**
-       * Sends SQL result debug information to the console.
-       *
-       * @param {number} id - The debug operation ID.
-       * @param {string} debugName - An optional label to identify the debug context.
-       * @param {string} type - Optional descriptor of the operation type.
-       * @param {any} data - The result data to output.
-       * @returns {void}
-       */
-      const sendSqlDebugResult = (id, debugName, type, data) => {
-        if (isDebug())
-          console.log(
-            this.#debugConsoleText(id, debugName, type),
-            typeof data !== 'undefined' &&
-              data !== null &&
-              (!Array.isArray(data) || data.length > 0)
-              ? data
-              : 'Success!',
-          );
-      };
-
-      /**
-       * Executes a query expected to return multiple rows.
-       *
-       * @param {string} query - The SQL query to execute.
-       * @param {any[*]} [params=[]] - Optional query parameters.
-       * @returns {Promise<Array<Object>|null>} Resolves with an array of result rows or null if invalid.
-       */
-      this.all = async function (query, params = [], debugName = '') {
-        try {
-          validatePostgresParams(query, params);
-          const id = getId();
-          sendSqlDebug(id, debugName, query, params);
-          const res = await db.query(query, params);
-          sendSqlDebugResult(id, debugName, '', res);
-          return isJsonObject(res) && Array.isArray(res.rows) ? res.rows : null;
-        } catch (err) {
-          rejectConnection(err);
-          throw err;
-        }
-      };
-
-      /**
-       * Executes a query expected to return a single row.
-       *
-       * @param {string} query - The SQL query to execute.
-       * @param {any[*]} [params=[]] - Optional query parameters.
-       * @returns {Promise<Record<any, any>|null>} Resolves with the first row of the result or null if not found.
-       */
-      this.get = async function (query, params = [], debugName = '') {
-        try {
-          validatePostgresParams(query, params);
-          const id = getId();
-          sendSqlDebug(id, debugName, query, params);
-          const res = await db.query(query, params);
-          sendSqlDebugResult(id, debugName, '', res);
-          return isJsonObject(res) && Array.isArray(res.rows) && isJsonObject(res.rows[0])
-            ? res.rows[0]
-            : null;
-        } catch (err) {
-          rejectConnection(err);
-          throw err;
-        }
-      };
-
-      /**
-       * Executes a query without expecting a specific row result.
-       *
-       * @param {string} query - The SQL query to execute.
-       * @param {any[*]} params - Query parameters.
-       * @returns {Promise<Record<any, any>|null>} Resolves with the result object or null if invalid.
-       */
-      this.run = async function (query, params, debugName = '') {
-        try {
-          validatePostgresParams(query, params);
-          const id = getId();
-          sendSqlDebug(id, debugName, query, params);
-          const res = await db.query(query, params);
-          sendSqlDebugResult(id, debugName, '', res);
-          return isJsonObject(res) ? res : null;
-        } catch (err) {
-          rejectConnection(err);
-          throw err;
-        }
-      };
-    } else {
-      throw new Error('SQL has already been initialized in this instance!');
-    }
+    this.setEngine('postgre', db);
   }
 
   /**
    * Gracefully destroys the current instance by:
    * - Removing all internal and system event listeners;
+   * - Stopping the reconnect loop (the queued queries reject);
    * - Properly closing the database connection based on the SQL engine in use.
    *
-   * Supports both PostgreSQL (`postgre`) and SQLite3 (`sqlite3`) engines.
-   * Errors during database disconnection are caught and logged to the console.
+   * The connection is closed by the `close()` function of the engine adapter.
+   * Errors during database disconnection are caught and sent to the logger.
    *
    * @returns {Promise<void>} Resolves when all cleanup operations are complete.
    */
@@ -887,9 +1817,16 @@ class PuddySqlInstance extends PuddySqlEngine {
     this.#events.removeAllListeners();
     this.#sysEvents.removeAllListeners();
 
-    const sqlEngine = this.getSqlEngine();
-    if (sqlEngine === 'postgre') await this.#db.end().catch(console.error);
-    if (sqlEngine === 'sqlite3') await this.#db.close().catch(console.error);
+    const queue = this.#reconnectQueue;
+    this.#reconnectQueue = null;
+    if (queue)
+      for (const item of queue)
+        item.reject(new Error('[PuddySql] The instance was destroyed while reconnecting.'));
+
+    const adapter = this.getEngineAdapter();
+    await adapter
+      .close(this.#db)
+      .catch((err) => this.log('error', 'Error closing the database connection', { error: err }));
   }
 }
 
@@ -0,0 +1,346 @@
+import { isJsonObject } from 'tiny-essentials';
+import PuddySqlQuery from './PuddySqlQuery.mjs';
+
+/** @typedef {import('./PuddySqlQuery.mjs').SchemaChanges} SchemaChanges */
+/** @typedef {import('./PuddySqlTransaction.mjs').default} PuddySqlTransaction */
+/** @typedef {import('./PuddySqlTransaction.mjs').TransactionCallback} TransactionCallback */
+
+/**
+ * A migration step. It can be a function that receives the transaction scope,
+ * or an array of `updateTable` changes applied to `migration.table`.
+ *
+ * @typedef {((tx: PuddySqlTransaction) => any|Promise<any>) | SchemaChanges} MigrationStep
+ */
+
+/**
+ * Defines a single versioned migration.
+ *
+ * @typedef {Object} Migration
+ * @property {number} version - Unique positive integer. Migrations are applied in ascending order.
+ * @property {string} [name] - Human-readable name saved in the bookkeeping table.
+ * @property {string} [table] - Target table name. Required when `up` or `down` are change arrays.
+ * @property {MigrationStep} up - Applies the migration.
+ * @property {MigrationStep} [down] - Reverts the migration. Required to roll it back.
+ */
+
+/**
+ * Minimal interface of the instance that runs the migrations.
+ *
+ * @typedef {Object} MigrationOwner
+ * @property {(callback: TransactionCallback) => Promise<any>} transaction - Runs a callback inside a transaction.
+ * @property {(query: string, params?: any[], debugName?: string) => Promise<any>} all - Executes a query returning rows.
+ * @property {(query: string, params?: any[], debugName?: string) => Promise<any>} run - Executes a statement.
+ * @property {() => string} getSqlDialect - Returns the SQL dialect in use (e.g. `'sqlite3'`).
+ */
+
+/**
+ * PuddySqlMigrations keeps an ordered list of versioned migrations and records which ones
+ * were already applied in the `_puddysql_migrations` bookkeeping table.
+ *
+ * Each migration runs inside its own transaction together with its bookkeeping row,
+ * so a failed migration leaves both the schema and the history untouched.
+ */
+class PuddySqlMigrations {
+  /**
+   * Name of the bookkeeping table.
+   * @type {string}
+   */
+  static tableName = '_puddysql_migrations';
+
+  /** @type {MigrationOwner} */
+  #instance;
+
+  /** @type {Map<number, Migration>} */
+  #migrations = new Map();
+
+  #running = false;
+
+  /**
+   * @param {MigrationOwner} instance - The instance used to run the migrations.
+   */
+  constructor(instance) {
+    if (typeof instance !== 'object' || instance === null)
+      throw new TypeError('instance must be a PuddySql instance');
+    this.#instance = instance;
+  }
+
+  /**
+   * Validates a migration step.
+   *
+   * @param {Migration} migration
+   * @param {'up'|'down'} key
+   */
+  #validateStep(migration, key) {
+    const step = migration[key];
+    if (typeof step === 'function') return;
+    if (Array.isArray(step)) {
+      if (typeof migration.table !== 'string' || migration.table.trim() === '')
+        throw new TypeError(
+          `Migration ${migration.version} uses a change array in '${key}', so 'table' must be a non-empty string.`,
+        );
+      return;
+    }
+    throw new TypeError(
+      `Migration ${migration.version} '${key}' must be a function or an array of updateTable changes.`,
+    );
+  }
+
+  /**
+   * Registers a new migration.
+   *
+   * @param {Migration} migration - The migration definition.
+   * @throws {TypeError} If the migration is malformed.
+   * @throws {Error} If another migration already uses the same version.
+   */
+  add(migration) {
+    if (!isJsonObject(migration)) throw new TypeError('migration must be a plain object');
+    const { version, name } = migration;
+    if (!Number.isInteger(version) || version < 1)
+      throw new TypeError(`Migration version must be a positive integer. Got: ${version}`);
+    if (typeof name !== 'undefined' && typeof name !== 'string')
+      throw new TypeError(`Migration ${version} 'name' must be a string if defined.`);
+    if (this.#migrations.has(version))
+      throw new Error(`Migration version ${version} is already registered.`);
+
+    this.#validateStep(migration, 'up');
+    if (typeof migration.down !== 'undefined') this.#validateStep(migration, 'down');
+    this.#migrations.set(version, { ...migration });
+  }
+
+  /**
+   * Checks whether a migration version is registered.
+   *
+   * @param {number} version
+   * @returns {boolean}
+   */
+  has(version) {
+    return this.#migrations.has(version);
+  }
+
+  /**
+   * Returns all registered migrations ordered by version.
+   *
+   * @returns {Migration[]}
+   */
+  getAll() {
+    return [...this.#migrations.values()].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Returns the latest registered version, or `0` when there are no migrations.
+   *
+   * @returns {number}
+   */
+  getLatestVersion() {
+    let latest = 0;
+    for (const version of this.#migrations.keys()) if (version > latest) latest = version;
+    return latest;
+  }
+
+  /**
+   * Creates the bookkeeping table if it does not exist yet.
+   *
+   * @returns {Promise<void>}
+   */
+  async #ensureTable() {
+    await this.#instance.run(
+      `CREATE TABLE IF NOT EXISTS ${PuddySqlMigrations.tableName} (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      [],
+      'migrations - createTable',
+    );
+  }
+
+  /**
+   * Returns the versions already applied, in ascending order.
+   *
+   * @returns {Promise<number[]>}
+   */
+  async getAppliedVersions() {
+    await this.#ensureTable();
+    const rows = await this.#instance.all(
+      `SELECT version FROM ${PuddySqlMigrations.tableName} ORDER BY version ASC`,
+      [],
+      'migrations - applied',
+    );
+    return Array.isArray(rows) ? rows.map((row) => Number(row.version)) : [];
+  }
+
+  /**
+   * Returns the highest applied version, or `0` if nothing was applied.
+   *
+   * @returns {Promise<number>}
+   */
+  async getCurrentVersion() {
+    const applied = await this.getAppliedVersions();
+    return applied.length > 0 ? applied[applied.length - 1] : 0;
+  }
+
+  /**
+   * Executes one step of a migration inside the given transaction.
+   *
+   * @param {Migration} migration
+   * @param {'up'|'down'} key
+   * @param {PuddySqlTransaction} tx
+   * @returns {Promise<void>}
+   */
+  async #runStep(migration, key, tx) {
+    const step = migration[key];
+    if (typeof step === 'function') {
+      await step(tx);
+      return;
+    }
+
+    if (!Array.isArray(step) || typeof migration.table !== 'string')
+      throw new Error(`Migration ${migration.version} has no valid '${key}' step.`);
+    const table = new PuddySqlQuery();
+    table.setDb({ name: migration.table }, tx);
+    await table.updateTable(step, true);
+  }
+
+  /**
+   * Refuses a change array with `MODIFY` on SQLite3 while foreign keys are enabled,
+   * before the migration transaction starts. `MODIFY` rebuilds the table there, and the rebuild
+   * can only disable foreign keys outside of a transaction.
+   *
+   * @param {Migration} migration
+   * @param {'up'|'down'} key
+   * @returns {Promise<void>}
+   * @throws {Error} If the step cannot run inside the migration transaction.
+   */
+  async #checkRebuild(migration, key) {
+    const step = migration[key];
+    if (!Array.isArray(step) || this.#instance.getSqlDialect() !== 'sqlite3') return;
+    if (!step.some(([action]) => String(action).toUpperCase() === 'MODIFY')) return;
+
+    const rows = await this.#instance.all('PRAGMA foreign_keys', [], 'migrations - foreignKeys');
+    if (Array.isArray(rows) && Number(rows[0]?.foreign_keys) === 1)
+      throw new Error(
+        `Migration ${migration.version} modifies a column of "${migration.table}" in '${key}', which rebuilds the table on SQLite3. ` +
+          'The rebuild cannot run inside the migration transaction while foreign keys are enabled.',
+      );
+  }
+
+  /**
+   * Prevents two migration runs at the same time.
+   *
+   * @template T
+   * @param {() => Promise<T>} callback
+   * @returns {Promise<T>}
+   */
+  async #lock(callback) {
+    if (this.#running) throw new Error('Migrations are already running.');
+    this.#running = true;
+    try {
+      return await callback();
+    } finally {
+      this.#running = false;
+    }
+  }
+
+  /**
+   * Applies or reverts migrations until the database reaches the given version.
+   *
+   * - If `version` is higher than the current one, pending migrations up to it are applied in ascending order.
+   * - If `version` is lower, applied migrations above it are reverted in descending order using `down`.
+   *
+   * Each migration runs inside its own transaction.
+   *
+   * @param {number} [version] - Target version. Defaults to the latest registered version.
+   * @returns {Promise<number>} The current version after the run.
+   * @throws {Error} If the version is invalid, or a migration fails or cannot be reverted.
+   */
+  async migrateTo(version = this.getLatestVersion()) {
+    if (!Number.isInteger(version) || version < 0)
+      throw new TypeError(`Target version must be a non-negative integer. Got: ${version}`);
+    if (version > 0 && !this.#migrations.has(version))
+      throw new Error(`Migration version ${version} is not registered.`);
+
+    return this.#lock(async () => {
+      const applied = await this.getAppliedVersions();
+      const current = applied.length > 0 ? applied[applied.length - 1] : 0;
+
+      // Upgrade
+      if (version >= current) {
+        for (const migration of this.getAll()) {
+          if (migration.version > version || applied.includes(migration.version)) continue;
+          await this.#apply(migration);
+        }
+      }
+
+      // Downgrade
+      else {
+        const toRevert = applied.filter((v) => v > version).reverse();
+        for (const v of toRevert) await this.#revert(v);
+      }
+
+      return this.getCurrentVersion();
+    });
+  }
+
+  /**
+   * Reverts the last applied migrations.
+   *
+   * @param {number} [steps=1] - How many migrations should be reverted.
+   * @returns {Promise<number>} The current version after the rollback.
+   * @throws {Error} If a migration cannot be reverted.
+   */
+  async rollback(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1)
+      throw new TypeError(`steps must be a positive integer. Got: ${steps}`);
+
+    return this.#lock(async () => {
+      const applied = await this.getAppliedVersions();
+      const toRevert = applied.slice(-steps).reverse();
+      for (const v of toRevert) await this.#revert(v);
+      return this.getCurrentVersion();
+    });
+  }
+
+  /**
+   * Applies a single migration and records it.
+   *
+   * @param {Migration} migration
+   * @returns {Promise<void>}
+   */
+  async #apply(migration) {
+    await this.#checkRebuild(migration, 'up');
+    await this.#instance.transaction(async (tx) => {
+      await this.#runStep(migration, 'up', tx);
+      await tx.run(
+        `INSERT INTO ${PuddySqlMigrations.tableName} (version, name) VALUES ($1, $2)`,
+        [migration.version, migration.name ?? `migration_${migration.version}`],
+        'migrations - up',
+      );
+    });
+  }
+
+  /**
+   * Reverts a single migration and removes its record.
+   *
+   * @param {number} version
+   * @returns {Promise<void>}
+   */
+  async #revert(version) {
+    const migration = this.#migrations.get(version);
+    if (!migration)
+      throw new Error(`Migration version ${version} was applied but is not registered.`);
+    if (typeof migration.down === 'undefined')
+      throw new Error(`Migration version ${version} has no 'down' step and cannot be reverted.`);
+
+    await this.#checkRebuild(migration, 'down');
+    await this.#instance.transaction(async (tx) => {
+      await this.#runStep(migration, 'down', tx);
+      await tx.run(
+        `DELETE FROM ${PuddySqlMigrations.tableName} WHERE version = $1`,
+        [version],
+        'migrations - down',
+      );
+    });
+  }
+}
+
+export default PuddySqlMigrations;
@@ -1,7 +1,11 @@
 import { isJsonObject } from 'tiny-essentials';
-import { pg } from './Modules.mjs';
+import { conditionPacks, likePattern, sqliteDialect } from './Dialects.mjs';
+import { FilterPolicyError } from './Errors.mjs';
+import PuddySqlCache from './PuddySqlCache.mjs';
 import PuddySqlEngine from './PuddySqlEngine.mjs';
 import PuddySqlTags from './PuddySqlTags.mjs';
+import PuddySqlTransaction from './PuddySqlTransaction.mjs';
+import { escapeRegExp } from './Utils.mjs';
 
 /**
  * Defines the schema structure used to create or modify SQL tables programmatically.
@@ -17,6 +21,18 @@ import PuddySqlTags from './PuddySqlTags.mjs';
  * @typedef {Array<[string, string, string, string]>} SqlTableConfig
  */
 
+/**
+ * A list of schema changes understood by `updateTable()`.
+ *
+ * Each entry is an array starting with the action name:
+ *   - `['ADD', columnName, columnType, columnOptions?]`
+ *   - `['REMOVE', columnName]`
+ *   - `['MODIFY', columnName, newColumnType, newOptions?]`
+ *   - `['RENAME', oldColumnName, newColumnName]`
+ *
+ * @typedef {Array<string[]>} SchemaChanges
+ */
+
 /**
  * Represents the result of a paginated SQL query to locate the exact position of a specific item.
  *
@@ -38,13 +54,39 @@ import PuddySqlTags from './PuddySqlTags.mjs';
  * @property {Array<string|string[]>} [group.include=[]] - Tag values or grouped OR conditions to include.
  */
 
+/**
+ * How the total of a paginated query is found:
+ * `'exact'` (`COUNT(*)`), `'none'` (no count) or `'estimate'` (database statistics).
+ *
+ * @typedef {'exact'|'none'|'estimate'} CountMode
+ */
+
 /**
  * Represents the result of a paginated query.
  *
  * @typedef {Object} PaginationResult
  * @property {any[]} items - Array of items returned for the current page.
- * @property {number} totalPages - Total number of available pages based on the query and per-page limit.
- * @property {number} totalItems - Total number of items matching the query without pagination.
+ * @property {number} page - The current page number.
+ * @property {number} perPage - The number of items per page.
+ * @property {number|null} totalPages - Total number of available pages based on the query and per-page limit
+ *   (`null` when `countMode` is `'none'`).
+ * @property {number|null} totalItems - Total number of items matching the query without pagination
+ *   (`null` when `countMode` is `'none'`, estimated when it is `'estimate'`).
+ * @property {boolean} hasNext - Whether there is a next page.
+ * @property {boolean} hasPrev - Whether there is a previous page.
+ * @property {number|null} nextPage - Number of the next page, or `null`.
+ * @property {number|null} prevPage - Number of the previous page, or `null`.
+ * @property {CountMode} countMode - The count mode used (`'estimate'` becomes `'exact'` without statistics
+ *   or when the query is filtered).
+ */
+
+/**
+ * Represents the result of a cursor (keyset) paginated query.
+ *
+ * @typedef {Object} CursorPaginationResult
+ * @property {any[]} items - Array of items returned for the current page.
+ * @property {string|null} nextCursor - Cursor of the next page, or `null` on the last page.
+ * @property {string|null} prevCursor - Cursor of the previous page, or `null` on the first page.
  */
 
 /**
@@ -93,11 +135,24 @@ import PuddySqlTags from './PuddySqlTags.mjs';
  *
  * @property {string|null|undefined} [funcName] - Optional function name applied to the column (e.g., UPPER, LOWER).
  * @property {string|null|undefined} [operator] - Comparison operator (e.g., '=', 'LIKE', 'IN').
- * @property {string|null|undefined} [value] - Value to compare against.
+ * @property {string|number|null|undefined|Array<string|number|null>} [value] - Value to compare against.
+ *   An array for `IN`/`NOT IN`, a `[min, max]` array for `BETWEEN`, ignored by `IS NULL`/`IS NOT NULL`.
  * @property {string|null|undefined} [valType] - Custom function for value transformation (e.g., for SOUNDEX).
  * @property {'left'|'right'|null|undefined} [lPos] - Logical position indicator (e.g., 'left', 'right') for chaining.
  * @property {string|null|undefined} [newOp] - Replacement operator, used to override the main one.
  * @property {string|null|undefined} [column] - Name of the column to apply the condition on.
+ * @property {WhereValueMode} [valueMode] - How the value is sent, returned by condition handlers
+ *   (e.g. `'list'` for `IN`). Defaults to `'single'`.
+ */
+
+/**
+ * How the value of a condition is turned into placeholders:
+ * - `'single'`: `col op $1`
+ * - `'list'`: `col op ($1, $2, ...)`
+ * - `'range'`: `col op $1 AND $2`
+ * - `'none'`: `col op` (no value)
+ *
+ * @typedef {'single'|'list'|'range'|'none'} WhereValueMode
  */
 
 /**
@@ -144,7 +199,8 @@ import PuddySqlTags from './PuddySqlTags.mjs';
  * @property {string[]} [columns] - List of columns to apply the boost on.
  * @property {''|'LIKE'|'ILIKE'} [operator=''] - Operator used in the condition (e.g., '=', 'LIKE').
  * @property {string|string[]} [value] - Value to match in the condition.
- * @property {boolean} [array=false] - When true, performs matching using `json_each()` for JSON/ARRAY columns instead of text comparison.
+ * @property {boolean} [array=false] - When true, checks if the JSON array of the columns has the value
+ *   (`json_each()` on SQLite, `jsonb_array_elements_text()` on PostgreSQL) instead of comparing the text.
  * @property {number} [weight=1] - Weight factor to boost results matching the condition.
  */
 
@@ -163,9 +219,57 @@ import PuddySqlTags from './PuddySqlTags.mjs';
  * @property {SelectQuery} [select='*'] - SELECT clause configuration. Can be simplified; complex expressions are auto-formatted.
  * @property {string|null} [join=null] - Optional JOIN table name.
  * @property {string|null} [joinCompare='t.key = j.key'] - Condition used to match JOIN tables.
- * @property {string|null} [order=null] - Optional ORDER BY clause.
+ * @property {OrderBy|null} [order=null] - Optional ORDER BY clause, or a list of order columns.
  * @property {string} [id='key'] - Primary key column name.
  * @property {string|null} [subId=null] - Optional secondary key column name.
+ * @property {boolean|'dry-run'} [autoSync=false] - Compares the declared columns with the real table when
+ *   it is initialized. `true` applies the differences with `updateTable()`, `'dry-run'` only reports them.
+ * @property {boolean} [allowDrop=false] - Lets `autoSync` remove the database columns that are not declared.
+ *   By default they are kept and only reported.
+ * @property {boolean|import('./PuddySqlCache.mjs').CacheOptions} [cache=false] - Caches the results of `get()`,
+ *   `getAll()` and `search()`. The cache is cleared by the writes of this table. `false` removes the cache.
+ * @property {boolean|BatchOptions} [batch=false] - Merges the `get()` and `has()` calls made in the same tick
+ *   into a single `WHERE id IN (...)` query. `false` disables it.
+ * @property {FilterPolicy|null} [filterPolicy=null] - Policy used by `search(searchData, { policy: true })`.
+ */
+
+/**
+ * Limits what a client-supplied search can use (see `search()`).
+ *
+ * @typedef {Object} FilterPolicy
+ * @property {string[]} [filterable] - Columns allowed in `q` and `tagsQ`. Defaults to every column of the table.
+ * @property {string[]} [sortable] - Columns allowed in `order`. Defaults to the filterable columns.
+ * @property {Record<string, string[]>} [operators] - Allowed operators by column. The `'*'` key applies to the
+ *   columns not listed. Defaults to the comparison, `LIKE`, `ILIKE`, `IN`, `NOT IN`, `BETWEEN` and `IS NULL` operators.
+ * @property {number} [maxDepth=3] - Maximum nesting depth of the condition groups of `q`.
+ * @property {number} [maxConditions=20] - Maximum number of conditions in `q`.
+ */
+
+/**
+ * A column of a structured ORDER BY. The names are checked against the table columns and the JOIN aliases.
+ *
+ * @typedef {Object} OrderColumn
+ * @property {string} column - Column of the table, or `alias.column` for the joined tables (`t`, `j`, `j1`...).
+ * @property {'ASC'|'DESC'|'asc'|'desc'} [direction='ASC'] - Sort direction.
+ * @property {'FIRST'|'LAST'|'first'|'last'|null} [nulls=null] - Where the `NULL` values go.
+ * @property {string|null} [collate=null] - Collation name (e.g. `NOCASE` on SQLite, `C` on PostgreSQL).
+ */
+
+/**
+ * An ORDER BY clause used as is, or a list of order columns.
+ *
+ * @typedef {string|OrderColumn[]} OrderBy
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [maxSize=1000] - Maximum number of ids per query. Bigger batches are split.
+ */
+
+/**
+ * Calls of `get()` or `has()` waiting for the next batch, by id.
+ *
+ * @typedef {Map<string, { id: string|number, waiters: { resolve: (value: any) => void, reject: (err: any) => void }[] }>} BatchQueue
  */
 
 /**
@@ -176,7 +280,7 @@ import PuddySqlTags from './PuddySqlTags.mjs';
  * @property {string} name - The name of the main table or view.
  * @property {string} id - The primary key column name.
  * @property {string|null} joinCompare - Optional column used to match in JOIN conditions (e.g., `"main.id = sub.fk_id"`).
- * @property {string|null} order - Default column used to order results (e.g., `"created_at DESC"`).
+ * @property {OrderBy|null} order - Default order of the results (e.g., `"created_at DESC"`).
  * @property {string|null} subId - Secondary identifier column name (for composite keys or scoped tables).
  * @property {string|null} join - SQL JOIN clause to apply (e.g., `"LEFT JOIN profiles ON users.id = profiles.user_id"`).
  */
@@ -205,6 +309,12 @@ class PuddySqlQuery {
   /** @type {Record<string, function(string) : string>} */
   #customValFunc = {};
 
+  /**
+   * Name of the dialect whose condition pack is registered.
+   * @type {string|null}
+   */
+  #conditionPack = null;
+
   /** @type {PuddySqlEngine|null} */
   #db = null;
 
@@ -232,6 +342,18 @@ class PuddySqlQuery {
   /** @type {Record<string, PuddySqlTags>} */
   #tagColumns = {};
 
+  /** @type {PuddySqlCache|null} */
+  #cache = null;
+
+  /** @type {Required<BatchOptions>|null} */
+  #batchOptions = null;
+
+  /** @type {{ get: BatchQueue|null, has: BatchQueue|null }} */
+  #batchQueues = { get: null, has: null };
+
+  /** @type {FilterPolicy|null} */
+  #filterPolicy = null;
+
   /**
    * Safely retrieves the internal database instance.
    *
@@ -251,14 +373,149 @@ class PuddySqlQuery {
     return this.#db;
   }
 
+  /**
+   * Returns the SQL dialect of the database, or the SQLite3 dialect while no database is set.
+   *
+   * @returns {import('./Dialects.mjs').SqlDialect}
+   */
+  #getDialect() {
+    return this.#db ? this.#db.getDialect() : sqliteDialect;
+  }
+
+  /**
+   * Options sent with every query of this table, so the instance middlewares know the calling table.
+   *
+   * @returns {import('./PuddySqlEngine.mjs').QueryOptions}
+   */
+  #queryOptions() {
+    return { table: this.#settings?.name ?? null };
+  }
+
+  /**
+   * Reads a result through the table cache.
+   *
+   * Tables bound to a transaction skip the cache, since they can see uncommitted rows.
+   *
+   * @param {string} method - Name of the reading method, part of the cache key.
+   * @param {string} query - The SQL query.
+   * @param {any[]} params - The query parameters.
+   * @param {() => Promise<any>} loader - Runs the query when the result is not cached.
+   * @returns {Promise<any>}
+   */
+  async #cached(method, query, params, loader) {
+    if (!this.#cache || this.#db instanceof PuddySqlTransaction) return loader();
+    const key = `${method}\n${query}\n${JSON.stringify(params, (_key, value) =>
+      typeof value === 'bigint' ? `${value}n` : value,
+    )}`;
+    return this.#cache.getOrLoad(key, loader);
+  }
+
+  /**
+   * Adds an id to the next `get()` or `has()` batch.
+   *
+   * The batch is sent after the current tick, like DataLoader does, so the calls made
+   * by the same `Promise.all()` or by sibling GraphQL resolvers end up in the same query.
+   * Repeated ids are only queried once.
+   *
+   * @param {'get'|'has'} method - The batched method.
+   * @param {string|number} id - Primary key value.
+   * @returns {Promise<any>} The row (or `null`) for `get`, `true` or `false` for `has`.
+   */
+  #loadBatched(method, id) {
+    return new Promise((resolve, reject) => {
+      let queue = this.#batchQueues[method];
+      if (!queue) {
+        queue = new Map();
+        this.#batchQueues[method] = queue;
+        Promise.resolve().then(() => process.nextTick(() => this.#dispatchBatch(method)));
+      }
+
+      const key = String(id);
+      const entry = queue.get(key);
+      if (entry) entry.waiters.push({ resolve, reject });
+      else queue.set(key, { id, waiters: [{ resolve, reject }] });
+    });
+  }
+
+  /**
+   * Sends the pending batch of a method, split by `maxSize`, and answers each caller.
+   * If a query fails, every caller of its ids is rejected with the error.
+   *
+   * @param {'get'|'has'} method - The batched method.
+   * @returns {Promise<void>}
+   */
+  async #dispatchBatch(method) {
+    const queue = this.#batchQueues[method];
+    this.#batchQueues[method] = null;
+    if (!queue) return;
+
+    const entries = [...queue.values()];
+    const maxSize = this.#batchOptions?.maxSize ?? 1000;
+    const idColumn = 'puddysql_batch_id';
+
+    for (let i = 0; i < entries.length; i += maxSize) {
+      const chunk = entries.slice(i, i + maxSize);
+      try {
+        const db = this.getDb();
+        const params = chunk.map((entry) => entry.id);
+        const placeholders = params.map((_, index) => `$${index + 1}`).join(', ');
+        const query =
+          method === 'get'
+            ? `SELECT ${this.#settings.select}, t.${this.#settings.id} AS ${idColumn} FROM ${this.#settings.name} t 
+                     ${this.insertJoin()} WHERE t.${this.#settings.id} IN (${placeholders})`
+            : `SELECT ${this.#settings.id} AS ${idColumn} FROM ${this.#settings.name} WHERE ${this.#settings.id} IN (${placeholders})`;
+
+        const rows = await db.all(query, params, `batch-${method}`, this.#queryOptions());
+
+        /** @type {Map<string, any>} */
+        const found = new Map();
+        for (const row of rows) {
+          const key = String(row[idColumn]);
+          if (found.has(key)) continue;
+          delete row[idColumn];
+          found.set(key, method === 'get' ? this.resultChecker(row) : true);
+        }
+
+        for (const entry of chunk) {
+          const value = found.get(String(entry.id)) ?? (method === 'get' ? null : false);
+          for (const waiter of entry.waiters) waiter.resolve(value);
+        }
+      } catch (err) {
+        for (const entry of chunk) for (const waiter of entry.waiters) waiter.reject(err);
+      }
+    }
+  }
+
+  /**
+   * Returns the result cache of this table.
+   *
+   * @returns {PuddySqlCache|null} The cache, or `null` if it is disabled.
+   */
+  getCache() {
+    return this.#cache;
+  }
+
+  /**
+   * Removes every cached result of this table.
+   */
+  clearCache() {
+    if (this.#cache) this.#cache.invalidate();
+  }
+
+  /**
+   * Returns the hit/miss statistics of the table cache.
+   *
+   * @returns {import('./PuddySqlCache.mjs').CacheStats|null} The statistics, or `null` if the cache is disabled.
+   */
+  getCacheStats() {
+    return this.#cache ? this.#cache.getStats() : null;
+  }
+
   constructor() {
     // Predefined condition operator mappings used in searches
     this.addCondition('LIKE', (condition) => ({
       operator: 'LIKE',
-      value:
-        `${typeof condition.lPos !== 'string' || condition.lPos === 'left' ? '%' : ''}` +
-        `${condition.value}` +
-        `${typeof condition.lPos !== 'string' || condition.lPos === 'right' ? '%' : ''}`,
+      value: likePattern(condition),
     }));
 
     this.addCondition('NOT', '!=');
@@ -269,8 +526,12 @@ class PuddySqlQuery {
     this.addCondition('>', '>');
     this.addCondition('<', '<');
 
-    // Soundex with custom value handler
-    this.addConditionV2('SOUNDEX', true); // Performs phonetic comparison based on how words sound. Example: SOUNDEX(name) = SOUNDEX('rainbow')
+    // Multi-value and value-less operators
+    this.addCondition('IN', { operator: 'IN', valueMode: 'list' }); // Example: status IN ($1, $2)
+    this.addCondition('NOT IN', { operator: 'NOT IN', valueMode: 'list' }); // Example: status NOT IN ($1, $2)
+    this.addCondition('BETWEEN', { operator: 'BETWEEN', valueMode: 'range' }); // Example: price BETWEEN $1 AND $2
+    this.addCondition('IS NULL', { operator: 'IS NULL', valueMode: 'none' }); // Example: deleted_at IS NULL
+    this.addCondition('IS NOT NULL', { operator: 'IS NOT NULL', valueMode: 'none' }); // Example: deleted_at IS NOT NULL
 
     // Case conversion
     this.addConditionV2('LOWER'); // Converts all characters in the column to lowercase. Example: LOWER(username) = 'fluttershy'
@@ -293,22 +554,45 @@ class PuddySqlQuery {
     // Null and fallback handling
     this.addConditionV2('COALESCE'); // Uses a fallback value if the column is NULL. Example: COALESCE(nickname) = 'anonymous'
 
-    // String formatting
-    this.addConditionV2('HEX'); // Converts value to hexadecimal string. Example: HEX(id) = '1A3F'
-    this.addConditionV2('QUOTE'); // Returns the string quoted. Example: QUOTE(title) = "'hello world'"
+    // Engine-specific functions (SOUNDEX, HEX, QUOTE, UNICODE, CHAR, TYPEOF, DATE, TIME, DATETIME, JULIANDAY).
+    // SQLite3 is used until setDb() tells the engine of the table.
+    this.#useConditionPack(sqliteDialect.name);
+  }
 
-    // Character and Unicode
-    this.addConditionV2('UNICODE'); // Gets the Unicode of the first character. Example: UNICODE(letter) = 9731
-    this.addConditionV2('CHAR'); // Converts a code point to its character. Example: CHAR(letter_code) = 'A'
+  /**
+   * Registers the condition pack of a dialect, removing the conditions of the previous pack.
+   *
+   * @param {string} dialect - The dialect name (e.g. `'postgre'`).
+   */
+  #useConditionPack(dialect) {
+    if (this.#conditionPack === dialect) return;
+    if (this.#conditionPack !== null) {
+      for (const key in conditionPacks[this.#conditionPack]) {
+        delete this.#conditions[key];
+        delete this.#customValFunc[key];
+      }
+    }
 
-    // Type inspection
-    this.addConditionV2('TYPEOF'); // Returns the data type of the value. Example: TYPEOF(data_field) = 'text'
+    const pack = conditionPacks[dialect] ?? {};
+    for (const [key, { sql, editParam = false, operator = '=', value }] of Object.entries(pack))
+      this.#addFunctionCondition(key, sql, editParam, operator, value);
+    this.#conditionPack = dialect;
+  }
 
-    // Date and time extraction
-    this.addConditionV2('DATE'); // Extracts the date part. Example: DATE(timestamp) = '2025-04-15'
-    this.addConditionV2('TIME'); // Extracts the time part. Example: TIME(timestamp) = '15:30:00'
-    this.addConditionV2('DATETIME'); // Converts to full datetime. Example: DATETIME(created_at) = '2025-04-15 14:20:00'
-    this.addConditionV2('JULIANDAY'); // Converts to Julian day number. Example: JULIANDAY(date_column) = 2460085.5
+  /**
+   * Throws when a condition only exists in the condition pack of other engines.
+   *
+   * @param {string} key - The condition identifier.
+   * @throws {Error} If the condition is not available on the engine of this table.
+   */
+  #checkConditionPack(key) {
+    if (this.#conditions[key]) return;
+    const engines = Object.keys(conditionPacks).filter((name) => conditionPacks[name][key]);
+    if (engines.length > 0)
+      throw new Error(
+        `Condition "${key}" is not available on the ${this.#conditionPack} engine. ` +
+          `Available on: ${engines.join(', ')}.`,
+      );
   }
 
   /**
@@ -327,9 +611,10 @@ class PuddySqlQuery {
    *
    * @param {string} key - The condition identifier to retrieve.
    * @returns {WhereConditionsFunc} - The associated condition function.
-   * @throws {Error} If the condition does not exist.
+   * @throws {Error} If the condition does not exist, or is not available on the engine of this table.
    */
   getCondition(key) {
+    this.#checkConditionPack(key);
     if (!this.hasCondition(key)) throw new Error('Condition not found: ' + key);
     return this.#conditions[key];
   }
@@ -494,21 +779,41 @@ class PuddySqlQuery {
     if (typeof operator !== 'string' || operator.trim() === '')
       throw new TypeError(`operator must be a non-empty string. Received: ${operator}`);
 
-    return this.addCondition(
+    return this.#addFunctionCondition(
       funcName,
+      (expression) => `${funcName}(${expression})`,
+      editParamByDefault,
+      operator,
+    );
+  };
+
+  /**
+   * Registers a condition that wraps the column (and optionally the parameter) in a SQL expression.
+   * Used by `addConditionV2()` and the condition packs.
+   *
+   * @param {string} key - The condition identifier, also used as `valType` of the parameter.
+   * @param {(expression: string) => string} sql - Wraps a column or a placeholder.
+   * @param {boolean} editParamByDefault - If true, `sql` is also applied to the parameter by default.
+   * @param {string} operator - Default SQL comparison operator.
+   * @param {(condition: WhereConditions) => any} [valueHandler] - Optional transformation of the value.
+   */
+  #addFunctionCondition(key, sql, editParamByDefault, operator, valueHandler) {
+    this.addCondition(
+      key,
       (condition) => ({
+        ...(valueHandler ? { value: valueHandler(condition) } : {}),
         operator: typeof condition.newOp === 'string' ? condition.newOp : operator,
         valType:
           typeof condition.funcName === 'string'
             ? condition.funcName
             : editParamByDefault && condition.funcName !== null
-              ? funcName
+              ? key
               : null,
-        column: `${funcName}(${condition.column})`,
+        column: sql(`${condition.column}`),
       }),
-      (param) => `${funcName}(${param})`,
+      sql,
     );
-  };
+  }
 
   /**
    * Generates a SELECT clause based on the input, supporting SQL expressions, aliases,
@@ -531,7 +836,7 @@ class PuddySqlQuery {
    *       - `weight` (number): numeric weight applied when condition matches (default: 1)
    *     - If `columns` is omitted, the `value` is treated as a raw SQL condition inserted directly into the CASE.
    *
-   * Escaping of all values is handled by `pg.escapeLiteral()` for SQL safety (PostgreSQL).
+   * Escaping of all values is handled by the `escapeLiteral()` of the SQL dialect of the engine.
    *
    * @param {SelectQuery} [input = '*'] - Select clause definition.
    * @returns {string} - A valid SQL SELECT clause string.
@@ -617,6 +922,7 @@ class PuddySqlQuery {
       if (typeof alias !== 'string')
         throw new TypeError(`Boost 'alias' must be an string. Received: ${typeof alias}`);
       const cases = [];
+      const dialect = this.#getDialect();
 
       // Boost
       for (const boost of boostArray) {
@@ -652,26 +958,11 @@ class PuddySqlQuery {
 
         // JSON/ARRAY Mode
         if (array === true) {
-          if (Array.isArray(value)) {
-            const conditions = columns.map((col) =>
-              `
-        EXISTS (
-          SELECT 1 FROM json_each(${col})
-          WHERE json_each.value IN (${value.map((v) => pg.escapeLiteral(v)).join(', ')})
-        )
-      `.trim(),
-            );
-            cases.push(`WHEN ${conditions.join(' OR ')} THEN ${weight}`);
-          } else if (typeof value === 'string') {
-            const safeVal = pg.escapeLiteral(value);
-            const conditions = columns.map((col) =>
-              `
-        EXISTS (
-          SELECT 1 FROM json_each(${col})
-          WHERE json_each.value = ${safeVal}
-        )
-      `.trim(),
+          if (Array.isArray(value) || typeof value === 'string') {
+            const values = (Array.isArray(value) ? value : [value]).map((v) =>
+              dialect.escapeLiteral(v),
             );
+            const conditions = columns.map((col) => dialect.jsonArrayContains(col, values));
             cases.push(`WHEN ${conditions.join(' OR ')} THEN ${weight}`);
           } else {
             throw new TypeError(
@@ -689,7 +980,7 @@ class PuddySqlQuery {
             );
 
           const conditions = columns.map((col) => {
-            const inList = value.map((v) => pg.escapeLiteral(v)).join(', ');
+            const inList = value.map((v) => dialect.escapeLiteral(v)).join(', ');
             return `${col} IN (${inList})`;
           });
           cases.push(`WHEN ${conditions.join(' OR ')} THEN ${weight}`);
@@ -702,10 +993,12 @@ class PuddySqlQuery {
             `'${opValue}' operator requires a string value. Got: ${typeof value}`,
           );
 
-        const safeVal = pg.escapeLiteral(
+        const safeVal = dialect.escapeLiteral(
           ['LIKE', 'ILIKE'].includes(opValue) ? `%${value}%` : value,
         );
-        const conditions = columns.map((col) => `${col} ${operator} ${safeVal}`);
+        const conditions = columns.map((col) =>
+          opValue === 'ILIKE' ? dialect.ilike(col, safeVal) : `${col} ${operator} ${safeVal}`,
+        );
         cases.push(`WHEN ${conditions.join(' OR ')} THEN ${weight}`);
       }
 
@@ -791,7 +1084,7 @@ class PuddySqlQuery {
     return column;
   }
 
-  // Helpers for JSON operations within SQL queries (SQLite-compatible)
+  // Helpers for JSON operations within SQL queries (SQL from the dialect of the engine)
 
   /**
    * @param {any} value
@@ -804,26 +1097,28 @@ class PuddySqlQuery {
   };
 
   // Example: WHERE json_extract(data, '$.name') = 'Rainbow Queen'
+  // PostgreSQL: WHERE (data)::jsonb #>> '{"name"}' = 'Rainbow Queen'
   /**
-   * Extracts the value of a key from a JSON object using SQLite's json_extract function.
+   * Extracts the value of a key from a JSON object (`json_extract` on SQLite, `#>>` on PostgreSQL).
    * @param {string} where - The JSON column to extract from.
    * @param {string} name - The key or path to extract (dot notation).
    * @returns {string} SQL snippet to extract a value from JSON.
    */
   getJsonExtract = (where = '', name = '') =>
-    `json_extract(${this.#sqlOpStringVal(where)}, '$.${this.#sqlOpStringVal(name)}')`;
+    this.#getDialect().jsonExtract(this.#sqlOpStringVal(where), this.#sqlOpStringVal(name));
 
   /**
-   * Expands each element in a JSON array or each property in a JSON object into separate rows.
+   * Expands each element in a JSON array into separate rows, exposed as `json_each.value`
+   * (`json_each` on SQLite, `jsonb_array_elements_text` on PostgreSQL).
    * Intended for use in the FROM clause.
    * @param {string} source - JSON column or expression to expand.
-   * @returns {string} SQL snippet calling json_each.
+   * @returns {string} SQL snippet expanding the array.
    */
-  getJsonEach = (source = '') => `json_each(${this.#sqlOpStringVal(source)})`;
+  getJsonEach = (source = '') => this.#getDialect().jsonEach(this.#sqlOpStringVal(source));
 
   // Example: FROM json_each(json_extract(data, '$.tags'))
   /**
-   * Unrolls a JSON array from a specific key inside a JSON column using json_each.
+   * Unrolls a JSON array from a specific key inside a JSON column.
    * Ideal for iterating over array elements in a FROM clause.
    * @param {string} where - The JSON column containing the array.
    * @param {string} name - The key of the JSON array.
@@ -833,33 +1128,37 @@ class PuddySqlQuery {
 
   // Example: WHERE CAST(json_extract(data, '$.level') AS INTEGER) > 10
   /**
-   * Extracts a key from a JSON object and casts it to a given SQLite type (INTEGER, TEXT, REAL, etc.).
+   * Extracts a key from a JSON object and casts it to a given type (INTEGER, TEXT, REAL, etc.).
    * @param {string} where - The JSON column to extract from.
    * @param {string} name - The key or path to extract.
    * @param {string} type - The type to cast to (e.g., 'INTEGER', 'TEXT', 'REAL').
    * @returns {string} SQL snippet with cast applied.
    */
   getJsonCast = (where = '', name = '', type = 'NULL') =>
-    `CAST(${this.getJsonExtract(where, name)} AS ${this.#sqlOpStringVal(type).toUpperCase()})`;
+    this.#getDialect().cast(this.getJsonExtract(where, name), this.#sqlOpStringVal(type));
 
   /**
    * Updates the table by adding, removing, modifying or renaming columns.
-   * @param {SqlTableConfig} changes - An array of changes to be made to the table.
+   * @param {SchemaChanges} changes - An array of changes to be made to the table.
    * Each change is defined by an array, where:
    *   - To add a column: ['ADD', 'columnName', 'columnType', 'columnOptions']
    *   - To remove a column: ['REMOVE', 'columnName']
    *   - To modify a column: ['MODIFY', 'columnName', 'newColumnType', 'newOptions']
    *   - To rename a column: ['RENAME', 'oldColumnName', 'newColumnName']
+   * @param {boolean} [strict=false] - If true, a failed change throws its error instead of being logged,
+   *   and unknown actions are rejected. Used by migrations, so a failure rolls back the whole transaction.
    * @returns {Promise<void>}
    *
    * @throws {TypeError} If `changes` is not an array of arrays.
    * @throws {Error} If any change has missing or invalid parameters.
    */
-  async updateTable(changes) {
+  async updateTable(changes, strict = false) {
     const db = this.getDb();
 
     if (!Array.isArray(changes))
       throw new TypeError(`Expected 'changes' to be an array of arrays. Got: ${typeof changes}`);
+    if (typeof strict !== 'boolean')
+      throw new TypeError(`Expected 'strict' to be a boolean. Got: ${typeof strict}`);
 
     const tableName = this.#settings?.name;
     if (!tableName) throw new TypeError('Missing table name in settings');
@@ -881,9 +1180,13 @@ class PuddySqlQuery {
 
           const query = `ALTER TABLE ${tableName} ADD COLUMN ${colName} ${colType} ${colOptions}`;
           try {
-            await db.run(query, undefined, 'updateTable - ADD');
+            await db.run(query, undefined, 'updateTable - ADD', this.#queryOptions());
           } catch (err) {
-            console.error('[sql] [updateTable - ADD] Error adding column:', err);
+            if (strict) throw err;
+            db.log('error', '[updateTable - ADD] Error adding column', {
+              table: tableName,
+              error: err,
+            });
           }
           break;
         }
@@ -893,11 +1196,30 @@ class PuddySqlQuery {
           if (typeof colName !== 'string')
             throw new Error(`Invalid parameters for REMOVE: ${JSON.stringify(args)}`);
 
-          const query = `ALTER TABLE ${tableName} DROP COLUMN IF EXISTS ${colName}`;
           try {
-            await db.run(query, undefined, 'updateTable - REMOVE');
+            // SQLite3 does not support IF EXISTS in DROP COLUMN, and versions older than 3.35.0 need a rebuild
+            if (db.getSqlDialect() === 'sqlite3') {
+              if (await this.#sqliteHasDropColumn())
+                await db.run(
+                  `ALTER TABLE ${tableName} DROP COLUMN ${colName}`,
+                  undefined,
+                  'updateTable - REMOVE',
+                  this.#queryOptions(),
+                );
+              else await this.#rebuildSqliteTable('REMOVE', colName);
+            } else
+              await db.run(
+                `ALTER TABLE ${tableName} DROP COLUMN IF EXISTS ${colName}`,
+                undefined,
+                'updateTable - REMOVE',
+                this.#queryOptions(),
+              );
           } catch (err) {
-            console.error('[sql] [updateTable - REMOVE] Error removing column:', err);
+            if (strict) throw err;
+            db.log('error', '[updateTable - REMOVE] Error removing column', {
+              table: tableName,
+              error: err,
+            });
           }
           break;
         }
@@ -911,13 +1233,22 @@ class PuddySqlQuery {
           )
             throw new Error(`Invalid parameters for MODIFY: ${JSON.stringify(args)}`);
 
-          const query = `ALTER TABLE ${tableName} ALTER COLUMN ${colName} TYPE ${newType}${
-            newOptions ? `, ALTER COLUMN ${colName} SET ${newOptions}` : ''
-          }`;
           try {
-            await db.run(query, undefined, 'updateTable - MODIFY');
+            // SQLite3 has no ALTER COLUMN, so the table is rebuilt
+            if (db.getSqlDialect() === 'sqlite3')
+              await this.#rebuildSqliteTable('MODIFY', colName, newType, newOptions);
+            else {
+              const query = `ALTER TABLE ${tableName} ALTER COLUMN ${colName} TYPE ${newType}${
+                newOptions ? `, ALTER COLUMN ${colName} SET ${newOptions}` : ''
+              }`;
+              await db.run(query, undefined, 'updateTable - MODIFY', this.#queryOptions());
+            }
           } catch (err) {
-            console.error('[sql] [updateTable - MODIFY] Error modifying column:', err);
+            if (strict) throw err;
+            db.log('error', '[updateTable - MODIFY] Error modifying column', {
+              table: tableName,
+              error: err,
+            });
           }
           break;
         }
@@ -929,16 +1260,280 @@ class PuddySqlQuery {
 
           const query = `ALTER TABLE ${tableName} RENAME COLUMN ${oldName} TO ${newName}`;
           try {
-            await db.run(query, undefined, 'updateTable - RENAME');
+            await db.run(query, undefined, 'updateTable - RENAME', this.#queryOptions());
           } catch (err) {
-            console.error('[sql] [updateTable - RENAME] Error renaming column:', err);
+            if (strict) throw err;
+            db.log('error', '[updateTable - RENAME] Error renaming column', {
+              table: tableName,
+              error: err,
+            });
           }
           break;
         }
 
         default:
-          console.warn(`[sql] [updateTable] Unknown updateTable action: ${action}`);
+          if (strict) throw new Error(`Unknown updateTable action: ${action}`);
+          db.log('warn', `[updateTable] Unknown updateTable action: ${action}`, {
+            table: tableName,
+          });
+      }
+
+      // Cached rows no longer match the schema
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Checks whether the SQLite3 library supports `ALTER TABLE ... DROP COLUMN` (added in 3.35.0).
+   *
+   * @returns {Promise<boolean>}
+   */
+  async #sqliteHasDropColumn() {
+    const row = await this.getDb().get(
+      'SELECT sqlite_version() AS version',
+      [],
+      'updateTable - version',
+      this.#queryOptions(),
+    );
+    const [major = 0, minor = 0] = String(row?.version ?? '')
+      .split('.')
+      .map((n) => Number(n));
+    return major > 3 || (major === 3 && minor >= 35);
+  }
+
+  /**
+   * Rebuilds a SQLite3 table with a changed column, since SQLite3 cannot alter columns in place.
+   *
+   * Follows the procedure from https://www.sqlite.org/lang_altertable.html#otheralter:
+   * a new table is created with the changed column, the rows are copied, the old table is dropped,
+   * the new table is renamed, and the indexes, triggers and views of the table are created again.
+   * Primary keys, `NOT NULL`, defaults, `UNIQUE` and foreign key constraints are kept.
+   * Tables using anything the table pragmas cannot describe (`CHECK`, `COLLATE`, generated columns,
+   * deferrable or `MATCH` foreign keys, `WITHOUT ROWID`, `STRICT`) are not rebuilt, since it would be lost.
+   *
+   * Everything runs inside a transaction (or a savepoint, when the table is bound to a transaction).
+   * Foreign keys are disabled during the rebuild and checked before it is committed.
+   *
+   * @param {'MODIFY'|'REMOVE'} action - The change that requires the rebuild.
+   * @param {string} colName - The column to modify or remove.
+   * @param {string} [newType] - New column type (`MODIFY` only).
+   * @param {string} [newOptions] - New column options (`MODIFY` only). The current ones are kept if omitted.
+   * @returns {Promise<void>}
+   * @throws {Error} If the table or column does not exist, the column cannot be removed,
+   * the table has constraints the rebuild cannot keep, or foreign keys are enabled inside an open transaction.
+   */
+  async #rebuildSqliteTable(action, colName, newType, newOptions) {
+    const db = this.getDb();
+    const tableName = this.#settings.name;
+    const debugName = `updateTable - ${action}`;
+
+    const table = await db.get(
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = $1`,
+      [tableName],
+      debugName,
+      this.#queryOptions(),
+    );
+    if (!table) throw new Error(`Table "${tableName}" does not exist.`);
+
+    // String literals are removed first, so a default value can't look like a constraint
+    const tableSql = String(table.sql).replace(/'(?:[^']|'')*'/g, "''");
+    /** @type {[RegExp, string][]} */
+    const unsupported = [
+      [/\bCHECK\s*\(/i, 'CHECK constraints'],
+      [/\bCOLLATE\b/i, 'COLLATE clauses'],
+      [/\bGENERATED\b|\bAS\s*\(/i, 'generated columns'],
+      [/\bDEFERRABLE\b|\bMATCH\b/i, 'deferrable or MATCH foreign keys'],
+      [/\)[^)]*\b(?:WITHOUT\s+ROWID|STRICT)\b[^)]*$/i, 'WITHOUT ROWID or STRICT'],
+    ];
+    const lost = unsupported.filter(([regex]) => regex.test(tableSql)).map(([, name]) => name);
+    if (lost.length > 0)
+      throw new Error(
+        `Cannot rebuild "${tableName}": the rebuild would lose its ${lost.join(', ')}.`,
+      );
+
+    /** @type {{ name: string, type: string, notnull: number, dflt_value: string|null, pk: number }[]} */
+    const columns = await db.all(
+      `SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info($1)`,
+      [tableName],
+      debugName,
+      this.#queryOptions(),
+    );
+    if (!columns.some((col) => col.name === colName))
+      throw new Error(`Column "${colName}" does not exist in table "${tableName}".`);
+
+    // Table constraints
+    /** @type {string[]} */
+    const constraints = [];
+    const lockedColumns = new Set();
+
+    const pkColumns = columns
+      .filter((col) => col.pk > 0)
+      .sort((a, b) => a.pk - b.pk)
+      .map((col) => col.name);
+    if (pkColumns.length > 1) constraints.push(`PRIMARY KEY (${pkColumns.join(', ')})`);
+    for (const name of pkColumns) lockedColumns.add(name);
+
+    const indexes = await db.all(
+      `SELECT name, origin FROM pragma_index_list($1)`,
+      [tableName],
+      debugName,
+      this.#queryOptions(),
+    );
+    for (const index of indexes) {
+      const indexColumns = await db.all(
+        `SELECT name FROM pragma_index_info($1) ORDER BY seqno`,
+        [index.name],
+        debugName,
+        this.#queryOptions(),
+      );
+      const names = indexColumns.map((/** @type {{ name: string }} */ col) => col.name);
+      for (const name of names) lockedColumns.add(name);
+      if (index.origin === 'u') constraints.push(`UNIQUE (${names.join(', ')})`);
+    }
+
+    const foreignRows = await db.all(
+      `SELECT id, "table", "from", "to", on_update, on_delete
+       FROM pragma_foreign_key_list($1) ORDER BY id, seq`,
+      [tableName],
+      debugName,
+      this.#queryOptions(),
+    );
+    /** @type {Map<number, { table: string, from: string[], to: string[], onUpdate: string, onDelete: string }>} */
+    const foreignKeys = new Map();
+    for (const row of foreignRows) {
+      let fk = foreignKeys.get(row.id);
+      if (!fk) {
+        fk = {
+          table: row.table,
+          from: [],
+          to: [],
+          onUpdate: row.on_update,
+          onDelete: row.on_delete,
+        };
+        foreignKeys.set(row.id, fk);
+      }
+      fk.from.push(row.from);
+      if (row.to) fk.to.push(row.to);
+      lockedColumns.add(row.from);
+    }
+    for (const fk of foreignKeys.values())
+      constraints.push(
+        `FOREIGN KEY (${fk.from.join(', ')}) REFERENCES ${fk.table}` +
+          `${fk.to.length > 0 ? ` (${fk.to.join(', ')})` : ''}` +
+          ` ON UPDATE ${fk.onUpdate} ON DELETE ${fk.onDelete}`,
+      );
+
+    if (action === 'REMOVE') {
+      if (lockedColumns.has(colName))
+        throw new Error(
+          `Cannot remove column "${colName}" from "${tableName}": it is used by a primary key, index, unique or foreign key constraint.`,
+        );
+      if (columns.length < 2)
+        throw new Error(
+          `Cannot remove column "${colName}": it is the only column of "${tableName}".`,
+        );
+    }
+
+    // Column definitions
+    const autoIncrement = /\bAUTOINCREMENT\b/i.test(table.sql);
+    /** @type {string[]} */
+    const definitions = [];
+    const copiedColumns = [];
+    for (const col of columns) {
+      const isTarget = col.name === colName;
+      if (isTarget && action === 'REMOVE') continue;
+      copiedColumns.push(col.name);
+
+      const type = isTarget && newType ? newType : col.type;
+      const options = [];
+      // The primary key is not a column option that can be changed, so new options keep it
+      if (
+        col.pk > 0 &&
+        pkColumns.length === 1 &&
+        !(isTarget && /\bPRIMARY\s+KEY\b/i.test(newOptions ?? ''))
+      )
+        options.push(autoIncrement ? 'PRIMARY KEY AUTOINCREMENT' : 'PRIMARY KEY');
+      if (isTarget && typeof newOptions === 'string') {
+        definitions.push([col.name, type, ...options, newOptions].filter((item) => item).join(' '));
+        continue;
       }
+
+      if (col.notnull === 1) options.push('NOT NULL');
+      if (col.dflt_value !== null) options.push(`DEFAULT ${col.dflt_value}`);
+      definitions.push([col.name, type, ...options].filter((item) => item).join(' '));
+    }
+
+    // Indexes and triggers are dropped with the table, views must be dropped before it
+    /** @type {{ type: string, name: string, sql: string }[]} */
+    const schemaItems = await db.all(
+      `SELECT type, name, sql FROM sqlite_master
+       WHERE sql IS NOT NULL AND ((type IN ('index', 'trigger') AND tbl_name = $1) OR type = 'view')`,
+      [tableName],
+      debugName,
+      this.#queryOptions(),
+    );
+    const tableRegex = new RegExp(`\\b${escapeRegExp(tableName)}\\b`, 'i');
+    const views = schemaItems.filter((item) => item.type === 'view' && tableRegex.test(item.sql));
+    const recreate = [...schemaItems.filter((item) => item.type !== 'view'), ...views];
+
+    const tempName = `${tableName}_puddysql_rebuild`;
+    const copyList = copiedColumns.join(', ');
+
+    /** @param {PuddySqlEngine} tx */
+    const rebuild = async (tx) => {
+      for (const view of views) await tx.run(`DROP VIEW ${view.name}`, [], debugName);
+      await tx.run(
+        `CREATE TABLE ${tempName} (${[...definitions, ...constraints].join(', ')})`,
+        [],
+        debugName,
+      );
+      await tx.run(
+        `INSERT INTO ${tempName} (${copyList}) SELECT ${copyList} FROM ${tableName}`,
+        [],
+        debugName,
+      );
+      await tx.run(`DROP TABLE ${tableName}`, [], debugName);
+      await tx.run(`ALTER TABLE ${tempName} RENAME TO ${tableName}`, [], debugName);
+      for (const item of recreate) await tx.run(item.sql, [], debugName);
+
+      const violations = await tx.all(
+        `SELECT * FROM pragma_foreign_key_check($1)`,
+        [tableName],
+        debugName,
+      );
+      if (violations.length > 0)
+        throw new Error(
+          `Rebuilding "${tableName}" would break ${violations.length} foreign key reference(s).`,
+        );
+    };
+
+    /** @returns {Promise<boolean>} */
+    const foreignKeysOn = async () =>
+      Number(
+        (await db.get('PRAGMA foreign_keys', [], debugName, this.#queryOptions()))?.foreign_keys,
+      ) === 1;
+
+    const owner =
+      /** @type {PuddySqlEngine & { transaction?: (callback: (tx: PuddySqlEngine) => Promise<void>) => Promise<any> }} */ (
+        db
+      );
+    if (typeof owner.transaction !== 'function')
+      throw new Error('The database instance does not support transactions.');
+
+    // Foreign keys can only be disabled outside of a transaction (SQLite ignores the PRAGMA inside one),
+    // and dropping the old table with them enabled would run the ON DELETE actions of the other tables
+    const fkEnabled = await foreignKeysOn();
+    if (fkEnabled) {
+      await db.run('PRAGMA foreign_keys = OFF', [], debugName, this.#queryOptions());
+      if (await foreignKeysOn())
+        throw new Error(
+          `Cannot rebuild "${tableName}" inside a transaction while foreign keys are enabled. Run the change outside of the transaction.`,
+        );
+    }
+    try {
+      await owner.transaction(rebuild);
+    } finally {
+      if (fkEnabled) await db.run('PRAGMA foreign_keys = ON', [], debugName, this.#queryOptions());
     }
   }
 
@@ -958,8 +1553,11 @@ class PuddySqlQuery {
     const db = this.getDb();
     return new Promise((resolve, reject) => {
       const query = `DROP TABLE ${this.#settings.name};`;
-      db.run(query, undefined, 'dropTable')
-        .then(() => resolve(true))
+      db.run(query, undefined, 'dropTable', this.#queryOptions())
+        .then(() => {
+          this.clearCache();
+          resolve(true);
+        })
         .catch((err) => {
           if (db.isConnectionError(err))
             reject(err); // Rejects on connection-related errors
@@ -1012,8 +1610,7 @@ class PuddySqlQuery {
         // Tags
         if (type.toUpperCase() === 'TAGS') {
           col[1] = 'JSON';
-          this.#tagColumns[name] = new PuddySqlTags(name);
-          this.#tagColumns[name].setIsPgMode(db.getSqlEngine() === 'postgre');
+          this.#addTagEditor(name);
         }
       }
 
@@ -1061,9 +1658,30 @@ class PuddySqlQuery {
     query += sqlColumns.join(', ') + ')';
 
     // Execute the SQL query to create the table using db.run
-    await db.run(query, undefined, 'createTable');
+    await db.run(query, undefined, 'createTable', this.#queryOptions());
 
     // Save the table structure using an object with column names as keys
+    this.#setTableSchema(columns);
+  }
+
+  /**
+   * Registers a tag editor for a "TAGS" column.
+   *
+   * @param {string} name - The column name.
+   */
+  #addTagEditor(name) {
+    this.#tagColumns[name] = new PuddySqlTags(name);
+    this.#tagColumns[name].setIsPgMode(this.getDb().getSqlDialect() === 'postgre');
+  }
+
+  /**
+   * Stores the column structure in this.#table as an object keyed by column name.
+   * Entries with less than two items (table settings like `PRIMARY KEY (a, b)`) are ignored.
+   *
+   * @param {SqlTableConfig} columns - An array of column definitions.
+   * @throws {TypeError} If any column definition is malformed.
+   */
+  #setTableSchema(columns) {
     this.#table = {};
     for (const i in columns) {
       const column = columns[i];
@@ -1090,59 +1708,300 @@ class PuddySqlQuery {
   }
 
   /**
-   * Checks whether a column is associated with a tag editor.
-   * Tag editors are used for managing tag-based columns in SQL.
+   * Normalizes a column type returned by the database into the names used by this class
+   * (e.g. `character varying` → `VARCHAR`, `timestamp with time zone` → `TIMESTAMP`, `VARCHAR(255)` → `VARCHAR`).
    *
-   * @param {string} name - The column name to check.
-   * @returns {boolean} - Returns true if the column has an associated tag editor.
+   * @param {string} type - The raw type name.
+   * @returns {string} The normalized type name.
    */
-  hasTagEditor(name) {
-    if (this.#tagColumns[name]) return true;
-    return false;
+  #normalizeDbType(type) {
+    const clean = type
+      .toUpperCase()
+      .replace(/\(.*\)/, '')
+      .trim();
+    /** @type {Record<string, string>} */
+    const aliases = {
+      'CHARACTER VARYING': 'VARCHAR',
+      CHARACTER: 'CHAR',
+      'DOUBLE PRECISION': 'DOUBLE',
+      'TIMESTAMP WITHOUT TIME ZONE': 'TIMESTAMP',
+      'TIMESTAMP WITH TIME ZONE': 'TIMESTAMP',
+      TIMESTAMPTZ: 'TIMESTAMP',
+      'TIME WITHOUT TIME ZONE': 'TIME',
+      'TIME WITH TIME ZONE': 'TIME',
+      JSONB: 'JSON',
+      INT4: 'INT',
+      INT8: 'BIGINT',
+      INT2: 'SMALLINT',
+    };
+    return aliases[clean] ?? clean;
   }
 
   /**
-   * Retrieves the PuddySqlTags instance associated with a specific column.
-   * Used when the column was defined as a "TAGS" column in the SQL table definition.
+   * Reads the column definitions of the table from the live database.
    *
-   * @param {string} name - The column name to retrieve the tag editor for.
-   * @returns {PuddySqlTags} - The tag editor instance.
-   * @throws {Error} If the column is not associated with a tag editor.
+   * - SQLite3: uses `PRAGMA table_info`.
+   * - PostgreSQL: uses `information_schema.columns` and the primary key constraints of the current schema.
+   *
+   * Column options are rebuilt from the metadata (`PRIMARY KEY`, `NOT NULL` and `DEFAULT ...`).
+   *
+   * @returns {Promise<SqlTableConfig>} The columns as `[name, type, options]` tuples, in table order.
+   * @throws {Error} If table name is not defined in settings.
    */
-  getTagEditor(name) {
-    if (typeof name !== 'string' || name.length < 1 || !this.hasTagEditor(name))
-      throw new Error('Tag editor not found for column: ' + name);
-    return this.#tagColumns[name];
+  async getDbColumns() {
+    const db = this.getDb();
+    const tableName = this.#settings?.name;
+    if (!tableName || typeof tableName !== 'string')
+      throw new Error('Table name not defined in this.#settings.name');
+
+    /** @type {SqlTableConfig} */
+    const columns = [];
+
+    /**
+     * @param {string} name
+     * @param {string} type
+     * @param {boolean} pk
+     * @param {boolean} notNull
+     * @param {any} dflt
+     */
+    const addColumn = (name, type, pk, notNull, dflt) => {
+      const options = [];
+      if (pk) options.push('PRIMARY KEY');
+      if (notNull && !pk) options.push('NOT NULL');
+      if (dflt !== null && typeof dflt !== 'undefined') options.push(`DEFAULT ${dflt}`);
+      columns.push([name, this.#normalizeDbType(type), options.join(' '), '']);
+    };
+
+    // PostgreSQL
+    if (db.getSqlDialect() === 'postgre') {
+      const rows = await db.all(
+        `SELECT c.column_name AS name, c.data_type AS type, c.is_nullable AS nullable,
+                c.column_default AS dflt,
+                EXISTS (
+                  SELECT 1 FROM information_schema.table_constraints tc
+                  JOIN information_schema.key_column_usage k
+                    ON tc.constraint_name = k.constraint_name AND tc.table_schema = k.table_schema
+                  WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = c.table_schema
+                    AND tc.table_name = c.table_name AND k.column_name = c.column_name
+                ) AS pk
+         FROM information_schema.columns c
+         WHERE c.table_schema = current_schema() AND c.table_name = $1
+         ORDER BY c.ordinal_position`,
+        [tableName],
+        'getDbColumns',
+        this.#queryOptions(),
+      );
+      for (const row of rows ?? [])
+        addColumn(row.name, row.type, row.pk === true, row.nullable === 'NO', row.dflt);
+    }
+
+    // Sqlite3
+    else {
+      const rows = await db.all(
+        `SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info($1)`,
+        [tableName],
+        'getDbColumns',
+        this.#queryOptions(),
+      );
+      for (const row of rows ?? [])
+        addColumn(row.name, row.type || 'TEXT', row.pk > 0, row.notnull === 1, row.dflt_value);
+    }
+
+    return columns;
   }
 
   /**
-   * Returns a shallow copy of all column-to-tag-editor mappings.
+   * Attaches this instance to a table that already exists in the database.
    *
-   * @returns {Record<string, PuddySqlTags>} - All tag editor instances mapped by column name.
+   * Instead of running `CREATE TABLE`, the columns are read from the live database (see `getDbColumns()`)
+   * and stored in this.#table, so `resultChecker` and `escapeValues` know every real column,
+   * including the ones added outside the application.
+   *
+   * Since "TAGS" columns are stored as JSON, they cannot be detected from the database.
+   * Their names must be provided in `tagColumns` to register their tag editors.
+   *
+   * @param {string[]} [tagColumns=[]] - Names of the columns that should be handled as "TAGS".
+   * @returns {Promise<SqlTableConfig>} The columns that were loaded.
+   *
+   * @throws {TypeError} If `tagColumns` is not an array of strings.
+   * @throws {Error} If the table does not exist or a tag column is not part of it.
    */
-  getTagEditors() {
-    return { ...this.#tagColumns };
+  async attachTable(tagColumns = []) {
+    if (!Array.isArray(tagColumns) || tagColumns.some((col) => typeof col !== 'string'))
+      throw new TypeError(`Expected 'tagColumns' to be an array of strings.`);
+
+    const columns = await this.getDbColumns();
+    if (columns.length === 0)
+      throw new Error(`Table "${this.#settings.name}" does not exist in the database.`);
+
+    for (const name of tagColumns) {
+      const column = columns.find((col) => col[0] === name);
+      if (!column)
+        throw new Error(`Tag column "${name}" does not exist in table "${this.#settings.name}".`);
+      column[1] = 'TAGS';
+    }
+
+    this.#tagColumns = {};
+    for (const name of tagColumns) this.#addTagEditor(name);
+    this.#setTableSchema(columns);
+    return columns;
   }
 
   /**
-   * Utility functions to sanitize and convert raw database values
-   * into proper JavaScript types for JSON compatibility and safe parsing.
+   * Reduces equivalent type names to a single form, so `INT`, `INTEGER` and `SERIAL` are compared as equal.
    *
-   * @type {Record<string, function(any) : unknown>}
+   * @param {string} type - The type name.
+   * @returns {string} The canonical type name.
    */
-  #jsonEscape = {
-    /**
-     * Converts truthy values to boolean `true`.
-     * Accepts: true, "true", 1, "1"
-     */
-    boolean: (raw) => raw === true || raw === 'true' || raw === 1 || raw === '1',
-    /**
-     * Converts values into BigInt.
-     * Returns `null` if parsing fails or value is invalid.
-     */
-    bigInt: (raw) => {
-      if (typeof raw === 'bigint') return raw;
-      else {
+  #canonicalType(type) {
+    const normalized = this.#normalizeDbType(type);
+    /** @type {Record<string, string>} */
+    const groups = {
+      INT: 'INTEGER',
+      SERIAL: 'INTEGER',
+      BIGSERIAL: 'BIGINT',
+      SMALLSERIAL: 'SMALLINT',
+      BOOL: 'BOOLEAN',
+      FLOAT: 'DOUBLE',
+      FLOAT8: 'DOUBLE',
+      FLOAT4: 'REAL',
+      DECIMAL: 'NUMERIC',
+      TAGS: 'JSON',
+    };
+    return groups[normalized] ?? normalized;
+  }
+
+  /**
+   * Compares declared column definitions with the real table and returns the changes
+   * needed to make the database match the declaration.
+   *
+   * - Declared columns missing in the database produce `ADD`.
+   * - Database columns that are not declared produce `REMOVE`.
+   * - Columns with a different type produce `MODIFY` (only the type is compared).
+   * - Columns listed in `renames` produce `RENAME` when the old name exists in the database
+   *   and the new name is declared, instead of a `REMOVE` + `ADD` pair.
+   *
+   * Table-level entries (arrays with a single item, like `PRIMARY KEY (a, b)`) are ignored.
+   *
+   * @param {SqlTableConfig} columns - The declared column definitions (same format as `createTable()`).
+   * @param {Record<string, string>} [renames={}] - Map of old column names to new column names.
+   * @returns {Promise<SchemaChanges>} The changes in the format accepted by `updateTable()`.
+   *
+   * @throws {TypeError} If `columns` or `renames` are malformed.
+   * @throws {Error} If the table does not exist in the database.
+   */
+  async diffSchema(columns, renames = {}) {
+    if (!Array.isArray(columns))
+      throw new TypeError(`Expected columns to be an array. Got: ${typeof columns}`);
+    if (!isJsonObject(renames)) throw new TypeError(`Expected 'renames' to be a plain object.`);
+
+    const dbColumns = await this.getDbColumns();
+    if (dbColumns.length === 0)
+      throw new Error(`Table "${this.#settings.name}" does not exist in the database.`);
+
+    /** @type {Map<string, string[]>} */
+    const dbMap = new Map(dbColumns.map((col) => [col[0], col]));
+
+    /** @type {string[][]} */
+    const declared = [];
+    columns.forEach((column, i) => {
+      if (!Array.isArray(column))
+        throw new TypeError(
+          `Column definition at index ${i} must be an array. Got: ${typeof column}`,
+        );
+      if (column.length < 2) return;
+      const [name, type, options = ''] = column;
+      if (typeof name !== 'string' || typeof type !== 'string' || typeof options !== 'string')
+        throw new TypeError(`Invalid column definition at index ${i}: ${JSON.stringify(column)}`);
+      declared.push([name, type.toUpperCase() === 'TAGS' ? 'JSON' : type, options]);
+    });
+    const declaredNames = new Set(declared.map((col) => col[0]));
+
+    /** @type {SchemaChanges} */
+    const renamed = [];
+    for (const [oldName, newName] of Object.entries(renames)) {
+      if (typeof newName !== 'string')
+        throw new TypeError(`Rename target of "${oldName}" must be a string.`);
+      const oldColumn = dbMap.get(oldName);
+      if (!oldColumn || dbMap.has(newName) || !declaredNames.has(newName)) continue;
+      if (declaredNames.has(oldName)) continue;
+      renamed.push(['RENAME', oldName, newName]);
+      dbMap.delete(oldName);
+      dbMap.set(newName, [newName, ...oldColumn.slice(1)]);
+    }
+
+    /** @type {SchemaChanges} */
+    const added = [];
+    /** @type {SchemaChanges} */
+    const modified = [];
+    for (const [name, type, options] of declared) {
+      const dbColumn = dbMap.get(name);
+      if (!dbColumn) added.push(['ADD', name, type, options]);
+      else if (this.#canonicalType(type) !== this.#canonicalType(dbColumn[1]))
+        modified.push(['MODIFY', name, type]);
+    }
+
+    /** @type {SchemaChanges} */
+    const removed = [];
+    for (const name of dbMap.keys()) if (!declaredNames.has(name)) removed.push(['REMOVE', name]);
+
+    return [...renamed, ...added, ...modified, ...removed];
+  }
+
+  /**
+   * Checks whether a column is associated with a tag editor.
+   * Tag editors are used for managing tag-based columns in SQL.
+   *
+   * @param {string} name - The column name to check.
+   * @returns {boolean} - Returns true if the column has an associated tag editor.
+   */
+  hasTagEditor(name) {
+    if (this.#tagColumns[name]) return true;
+    return false;
+  }
+
+  /**
+   * Retrieves the PuddySqlTags instance associated with a specific column.
+   * Used when the column was defined as a "TAGS" column in the SQL table definition.
+   *
+   * @param {string} name - The column name to retrieve the tag editor for.
+   * @returns {PuddySqlTags} - The tag editor instance.
+   * @throws {Error} If the column is not associated with a tag editor.
+   */
+  getTagEditor(name) {
+    if (typeof name !== 'string' || name.length < 1 || !this.hasTagEditor(name))
+      throw new Error('Tag editor not found for column: ' + name);
+    return this.#tagColumns[name];
+  }
+
+  /**
+   * Returns a shallow copy of all column-to-tag-editor mappings.
+   *
+   * @returns {Record<string, PuddySqlTags>} - All tag editor instances mapped by column name.
+   */
+  getTagEditors() {
+    return { ...this.#tagColumns };
+  }
+
+  /**
+   * Utility functions to sanitize and convert raw database values
+   * into proper JavaScript types for JSON compatibility and safe parsing.
+   *
+   * @type {Record<string, function(any) : unknown>}
+   */
+  #jsonEscape = {
+    /**
+     * Converts truthy values to boolean `true`.
+     * Accepts: true, "true", 1, "1"
+     */
+    boolean: (raw) => raw === true || raw === 'true' || raw === 1 || raw === '1',
+    /**
+     * Converts values into BigInt.
+     * Returns `null` if parsing fails or value is invalid.
+     */
+    bigInt: (raw) => {
+      if (typeof raw === 'bigint') return raw;
+      else {
         let result;
         try {
           result = BigInt(raw);
@@ -1347,6 +2206,7 @@ class PuddySqlQuery {
     if (!(db instanceof PuddySqlEngine))
       throw new Error('Invalid type for db. Expected a PuddySql.');
     this.#db = db;
+    this.#useConditionPack(db.getDialect().name);
 
     const selectValue =
       typeof settings.select !== 'undefined'
@@ -1365,32 +2225,77 @@ class PuddySqlQuery {
     if (typeof newSettings.join !== 'string') newSettings.join = null;
     if (typeof newSettings.joinCompare !== 'string' && newSettings.join)
       newSettings.joinCompare = 't.key = j.key';
-    if (typeof newSettings.order !== 'string') newSettings.order = null;
+    if (typeof newSettings.order !== 'string' && !Array.isArray(newSettings.order))
+      newSettings.order = null;
     if (typeof newSettings.id !== 'string') newSettings.id = 'key';
     if (typeof newSettings.subId !== 'string') newSettings.subId = null;
 
+    if (typeof settings.cache !== 'undefined') {
+      if (typeof settings.cache !== 'boolean' && !isJsonObject(settings.cache))
+        throw new TypeError('cache must be a boolean or a plain object.');
+      this.#cache = settings.cache
+        ? new PuddySqlCache(settings.cache === true ? {} : settings.cache)
+        : null;
+    }
+
+    if (typeof settings.batch !== 'undefined') {
+      if (typeof settings.batch !== 'boolean' && !isJsonObject(settings.batch))
+        throw new TypeError('batch must be a boolean or a plain object.');
+      if (settings.batch) {
+        const { maxSize = 1000 } = settings.batch === true ? {} : settings.batch;
+        if (!Number.isInteger(maxSize) || maxSize < 1)
+          throw new TypeError('batch maxSize must be a positive integer.');
+        this.#batchOptions = { maxSize };
+      } else this.#batchOptions = null;
+    }
+
+    if (typeof settings.filterPolicy !== 'undefined')
+      this.#filterPolicy =
+        settings.filterPolicy === null ? null : this.#validateFilterPolicy(settings.filterPolicy);
+
     this.#settings = newSettings;
   }
 
   /**
-   * Maps database engines to the corresponding property used
-   * to check the number of affected rows after a write operation.
+   * Returns the name of the table used by this instance.
+   *
+   * @returns {string}
+   */
+  getTableName() {
+    return this.#settings.name;
+  }
+
+  /**
+   * Creates a copy of this table that executes its queries through another engine.
    *
-   * This is used to abstract the difference between drivers like:
-   * - SQLite (uses `changes`)
-   * - PostgreSQL (uses `rowCount`)
+   * The copy shares the settings, schema, tag editors, conditions and result cache of this table,
+   * so it is mostly used to run the same table inside a transaction scope.
    *
-   * @type {Record<string, string>}
+   * @param {PuddySqlEngine} db - The engine that the copy will use (e.g. a `PuddySqlTransaction`).
+   * @returns {PuddySqlQuery} The new table instance bound to `db`.
    */
-  #resultCounts = {
-    sqlite3: 'changes',
-    postgre: 'rowCount',
-  };
+  cloneWithDb(db) {
+    if (!(db instanceof PuddySqlEngine))
+      throw new Error('Invalid type for db. Expected a PuddySql.');
+    const table = new PuddySqlQuery();
+    table.#db = db;
+    table.#settings = this.#settings;
+    table.#table = this.#table;
+    table.#tagColumns = this.#tagColumns;
+    table.#conditions = this.#conditions;
+    table.#customValFunc = this.#customValFunc;
+    table.#conditionPack = this.#conditionPack;
+    table.#cache = this.#cache;
+    table.#batchOptions = this.#batchOptions;
+    table.#filterPolicy = this.#filterPolicy;
+    return table;
+  }
 
   /**
    * Retrieves the number of affected rows from a database operation result.
    *
-   * This method abstracts differences between database engines, such as:
+   * This method abstracts differences between database engines using the `resultCountKey`
+   * of the engine adapter, such as:
    * - SQLite: returns `result.changes`
    * - PostgreSQL: returns `result.rowCount`
    * - Fallback: `result.rowsAffected`, if defined
@@ -1399,11 +2304,10 @@ class PuddySqlQuery {
    * @returns {number} The number of affected rows, or null if it can't be determined.
    */
   getResultCount(result) {
-    const sqlEngine = this.getDb().getSqlEngine();
+    const countKey = this.getDb().getEngineAdapter().resultCountKey;
     if (isJsonObject(result))
-      return sqlEngine.length > 0 && typeof result[this.#resultCounts[sqlEngine]] === 'number'
-        ? // @ts-ignore
-          result[this.#resultCounts[sqlEngine]]
+      return typeof result[countKey] === 'number'
+        ? result[countKey]
         : typeof result.rowsAffected === 'number'
           ? result.rowsAffected
           : 0;
@@ -1412,6 +2316,7 @@ class PuddySqlQuery {
 
   /**
    * Check if a row with the given ID (and optional subId) exists.
+   * With the `batch` setting, calls without `subId` are merged into a single query.
    * @param {string|number} id - Primary key value.
    * @param {string|number} [subId] - Optional sub-ID for composite key.
    * @returns {Promise<boolean>}
@@ -1429,12 +2334,14 @@ class PuddySqlQuery {
       this.#settings.subId && (typeof subId === 'string' || typeof subId === 'number')
         ? true
         : false;
+    if (this.#batchOptions && !useSub) return this.#loadBatched('has', id);
+
     const params = [id];
     const query = `SELECT COUNT(*) FROM ${this.#settings.name} WHERE ${this.#settings.id} = $1${useSub ? ` AND ${this.#settings.subId} = $2` : ''} LIMIT 1`;
     // @ts-ignore
     if (useSub) params.push(subId);
 
-    const result = await db.get(query, params, 'has');
+    const result = await db.get(query, params, 'has', this.#queryOptions());
     return isJsonObject(result) && result['COUNT(*)'] === 1 ? true : false;
   }
 
@@ -1509,7 +2416,8 @@ class PuddySqlQuery {
     const query = `UPDATE ${this.#settings.name} SET ${setClause} WHERE ${whereClause}`;
     const params = [...updateValues, ...whereCache.values];
 
-    const result = await db.run(query, params, 'advancedUpdate');
+    const result = await db.run(query, params, 'advancedUpdate', this.#queryOptions());
+    this.clearCache();
     return this.getResultCount(result);
   }
 
@@ -1541,7 +2449,8 @@ class PuddySqlQuery {
     // @ts-ignore
     if (useSub) params.push(valueObj[this.#settings.subId]);
 
-    const result = await db.run(query, params, 'update');
+    const result = await db.run(query, params, 'update', this.#queryOptions());
+    this.clearCache();
     return this.getResultCount(result);
   }
 
@@ -1677,13 +2586,15 @@ class PuddySqlQuery {
 
     // Complete!
     const result = await (isArray
-      ? db.all(query, allParams, 'multi-set')
-      : db.get(query, allParams, 'set'));
+      ? db.all(query, allParams, 'multi-set', this.#queryOptions())
+      : db.get(query, allParams, 'set', this.#queryOptions()));
+    this.clearCache();
     return result || null;
   }
 
   /**
    * Get a record by its ID (and optional subId).
+   * With the `batch` setting, calls without `subId` are merged into a single query.
    * @param {string|number} id - Primary key value.
    * @param {string|number} [subId] - Optional sub-ID for composite key.
    * @returns {Promise<FreeObj|null>}
@@ -1704,9 +2615,12 @@ class PuddySqlQuery {
                      ${this.insertJoin()} WHERE t.${this.#settings.id} = $1${useSub ? ` AND t.${this.#settings.subId} = $2` : ''}`;
     // @ts-ignore
     if (useSub) params.push(subId);
-    const result = this.resultChecker(await db.get(query, params, 'get'));
-    if (!result) return null;
-    return result;
+    return this.#cached('get', query, params, async () => {
+      if (this.#batchOptions && !useSub) return this.#loadBatched('get', id);
+      const result = this.resultChecker(await db.get(query, params, 'get', this.#queryOptions()));
+      if (!result) return null;
+      return result;
+    });
   }
 
   /**
@@ -1729,7 +2643,8 @@ class PuddySqlQuery {
     if (!whereClause) throw new Error('Empty WHERE clause — deletion aborted for safety');
 
     const query = `DELETE FROM ${this.#settings.name} WHERE ${whereClause}`;
-    const result = await db.run(query, pCache.values, 'advancedDelete');
+    const result = await db.run(query, pCache.values, 'advancedDelete', this.#queryOptions());
+    this.clearCache();
     return this.getResultCount(result);
   }
 
@@ -1755,7 +2670,8 @@ class PuddySqlQuery {
     // @ts-ignore
     if (useSub) params.push(subId);
 
-    const result = await db.run(query, params, 'delete');
+    const result = await db.run(query, params, 'delete', this.#queryOptions());
+    this.clearCache();
     return this.getResultCount(result);
   }
 
@@ -1774,7 +2690,8 @@ class PuddySqlQuery {
     if (filterId !== null && typeof filterId !== 'string' && typeof filterId !== 'number')
       throw new TypeError(`Expected 'filterId' to be string or number, got ${typeof filterId}`);
 
-    const orderClause = this.#settings.order ? `ORDER BY ${this.#settings.order}` : '';
+    const order = this.#orderClause(this.#settings.order);
+    const orderClause = order ? `ORDER BY ${order}` : '';
     const whereClause = filterId !== null ? `WHERE t.${this.#settings.id} = $1` : '';
     const limitClause = `LIMIT $${filterId !== null ? 2 : 1}`;
     const query = `SELECT ${this.selectGenerator(selectValue)} FROM ${this.#settings.name} t 
@@ -1783,7 +2700,7 @@ class PuddySqlQuery {
                    ${orderClause} ${limitClause}`.trim();
 
     const params = filterId !== null ? [filterId, count] : [count];
-    const results = await db.all(query, params, 'getAmount');
+    const results = await db.all(query, params, 'getAmount', this.#queryOptions());
     for (const index in results) this.resultChecker(results[index]);
     return results;
   }
@@ -1799,29 +2716,113 @@ class PuddySqlQuery {
     if (filterId !== null && typeof filterId !== 'string' && typeof filterId !== 'number')
       throw new TypeError(`Expected 'filterId' to be string or number, got ${typeof filterId}`);
     const db = this.getDb();
-    const orderClause = this.#settings.order ? `ORDER BY ${this.#settings.order}` : '';
+    const order = this.#orderClause(this.#settings.order);
+    const orderClause = order ? `ORDER BY ${order}` : '';
     const whereClause = filterId !== null ? `WHERE t.${this.#settings.id} = $1` : '';
     const query = `SELECT ${this.selectGenerator(selectValue)} FROM ${this.#settings.name} t 
                    ${this.insertJoin()} 
                    ${whereClause}
                    ${orderClause}`.trim();
 
-    const results = await db.all(query, filterId !== null ? [filterId] : [], 'getAll');
-    for (const index in results) this.resultChecker(results[index]);
-    return results;
+    const params = filterId !== null ? [filterId] : [];
+    return this.#cached('getAll', query, params, async () => {
+      const results = await db.all(query, params, 'getAll', this.#queryOptions());
+      for (const index in results) this.resultChecker(results[index]);
+      return results;
+    });
+  }
+
+  /**
+   * Converts a count returned by the driver (a number, or a string/bigint for PostgreSQL `bigint`) to a number.
+   *
+   * @param {any} value
+   * @returns {number|null} The count, or `null` if it is not a valid non-negative number.
+   */
+  #toCount(value) {
+    const count =
+      typeof value === 'number'
+        ? value
+        : typeof value === 'bigint' || (typeof value === 'string' && value.trim() !== '')
+          ? Number(value)
+          : NaN;
+    return Number.isFinite(count) && count >= 0 ? Math.floor(count) : null;
+  }
+
+  /**
+   * Reads the estimated row count of this table from the planner statistics
+   * (`sqlite_stat1` on SQLite, `pg_class.reltuples` on PostgreSQL).
+   *
+   * The statistics are only available after `ANALYZE` (or autovacuum on PostgreSQL).
+   *
+   * @returns {Promise<number|null>} The estimate, or `null` if there are no statistics.
+   */
+  async #estimateCount() {
+    const db = this.getDb();
+    const dialect = db.getSqlDialect();
+    try {
+      if (dialect === 'postgre') {
+        const result = await db.get(
+          'SELECT reltuples AS estimate FROM pg_class WHERE oid = to_regclass($1)',
+          [this.#settings.name],
+          'pagination-estimate',
+          this.#queryOptions(),
+        );
+        // -1 means the table was never analyzed
+        return isJsonObject(result) ? this.#toCount(result.estimate) : null;
+      }
+
+      if (dialect === 'sqlite3') {
+        // The first number of each "stat" is the row count of the table
+        const result = await db.get(
+          'SELECT stat FROM sqlite_stat1 WHERE tbl = $1 ORDER BY idx IS NOT NULL LIMIT 1',
+          [this.#settings.name],
+          'pagination-estimate',
+          this.#queryOptions(),
+        );
+        return isJsonObject(result) && typeof result.stat === 'string'
+          ? this.#toCount(result.stat.split(' ')[0])
+          : null;
+      }
+    } catch (err) {
+      // sqlite_stat1 only exists after the first ANALYZE
+      if (err instanceof Error && db.isConnectionError(err)) throw err;
+    }
+    return null;
   }
 
   /**
-   * Executes a paginated query and returns results, total pages, and total item count.
+   * Supported count modes of the pagination.
+   * @type {CountMode[]}
+   */
+  #countModes = ['exact', 'none', 'estimate'];
+
+  /**
+   * Clauses that make a query return another number of rows than its table,
+   * so the table statistics cannot be used as its total.
+   * @type {RegExp}
+   */
+  #filteredQuery = /\b(?:WHERE|JOIN|GROUP\s+BY|HAVING|DISTINCT|UNION|INTERSECT|EXCEPT)\b/i;
+
+  /**
+   * Executes a paginated query and returns its items with the pagination metadata.
+   *
+   * The total is found according to `countMode`:
+   * - `'exact'`: Runs `COUNT(*)` over the query.
+   * - `'none'`: Skips the count. One extra row is fetched to know if there is a next page,
+   *   and `totalItems`/`totalPages` are `null`.
+   * - `'estimate'`: Uses the row count estimated by the database statistics of the whole table,
+   *   falling back to `'exact'` when there are no statistics or the query has a `WHERE`, `JOIN`,
+   *   `GROUP BY`, `HAVING`, `DISTINCT` or compound clause. Like `'none'`, `hasNext` comes from the extra row.
    *
    * @param {string} query - The base SQL query (should not include LIMIT or OFFSET).
    * @param {any[]} params - The parameters for the SQL query.
    * @param {number} perPage - The number of items per page.
    * @param {number} page - The current page number (starting from 1).
    * @param {string} queryName - The query name to insert into the sql debug.
+   * @param {CountMode} [countMode='exact'] - How the total is found.
    * @returns {Promise<PaginationResult>}
    */
-  async execPagination(query, params, perPage, page, queryName = '') {
+  async execPagination(query, params, perPage, page, queryName = '', countMode = 'exact') {
     if (typeof query !== 'string')
       throw new TypeError(`Expected 'query' to be a string, got ${typeof query}`);
     if (!Array.isArray(params))
@@ -1832,39 +2833,69 @@ class PuddySqlQuery {
       throw new RangeError(`'page' must be an integer >= 1. Received: ${page}`);
     if (typeof queryName !== 'string')
       throw new TypeError(`Expected 'queryName' to be a string, got ${typeof queryName}`);
+    if (!this.#countModes.includes(countMode))
+      throw new TypeError(
+        `'countMode' must be one of: ${this.#countModes.join(', ')}. Got: ${countMode}`,
+      );
 
     const db = this.getDb();
     const offset = (page - 1) * perPage;
     const isZero = perPage < 1;
 
     // Count total items
-    const countQuery = `SELECT COUNT(*) as total FROM (${query}) AS count_wrapper`;
-    const countResult = !isZero
-      ? await db.get(countQuery, params, `pagination-${queryName}`)
-      : { total: 0 };
-
-    const total = isJsonObject(countResult)
-      ? typeof countResult.total === 'number' &&
-        !Number.isNaN(countResult.total) &&
-        Number.isFinite(countResult.total) &&
-        countResult.total >= 0
-        ? countResult.total
-        : 0
-      : 0;
-
-    // Fetch paginated items
+    /** @type {number|null} */
+    let total = null;
+    let mode = countMode;
+    if (isZero) total = 0;
+    else if (mode === 'estimate') {
+      total = this.#filteredQuery.test(query) ? null : await this.#estimateCount();
+      if (total === null) mode = 'exact';
+    }
+    if (mode === 'exact' && !isZero) {
+      const countQuery = `SELECT COUNT(*) as total FROM (${query}) AS count_wrapper`;
+      const countResult = await db.get(
+        countQuery,
+        params,
+        `pagination-${queryName}`,
+        this.#queryOptions(),
+      );
+      total = (isJsonObject(countResult) ? this.#toCount(countResult.total) : null) ?? 0;
+    }
+
+    // Fetch paginated items (plus one to detect the next page without an exact count)
+    const extra = mode === 'exact' ? 0 : 1;
     const paginatedQuery = `${query} LIMIT ? OFFSET ?`;
-    const items = !isZero
-      ? await db.all(paginatedQuery, [...params, perPage, offset], `pagination-${queryName}`)
+    const rows = !isZero
+      ? await db.all(
+          paginatedQuery,
+          [...params, perPage + extra, offset],
+          `pagination-${queryName}`,
+          this.#queryOptions(),
+        )
       : [];
 
-    const totalPages = !isZero ? Math.ceil(total / perPage) : 0;
+    const items = rows.slice(0, perPage);
     for (const index in items) this.resultChecker(items[index]);
 
+    const totalPages = total === null ? null : !isZero ? Math.ceil(total / perPage) : 0;
+    const hasNext = isZero
+      ? false
+      : mode === 'exact'
+        ? page < (totalPages ?? 0)
+        : rows.length > perPage;
+    const hasPrev = page > 1;
+
     return {
       items,
+      page,
+      perPage,
       totalPages,
       totalItems: total,
+      hasNext,
+      hasPrev,
+      nextPage: hasNext ? page + 1 : null,
+      prevPage: hasPrev ? page - 1 : null,
+      countMode: mode,
     };
   }
 
@@ -1910,66 +2941,112 @@ class PuddySqlQuery {
       return innerConditions.join(` ${logic} `);
     }
 
-    /**
-     * @param {*} valType
-     * @returns {string}
-     */
-    const getParamResult = (valType) => {
-      if (typeof pCache.index !== 'number') throw new Error('Invalid pCache index');
-      const newIndex = pCache.index++;
-      return typeof this.#customValFunc[valType] === 'function'
-        ? this.#customValFunc[valType](`$${newIndex}`)
-        : `$${newIndex}`;
-    };
-
     // Flat object fallback for backward compatibility
     if (!group.column) {
       const entries = Object.entries(group);
       const logic = 'AND';
       const innerConditions = entries.map(([newCol, cond]) => {
         if (!isJsonObject(cond)) throw new Error(`Invalid parseWhere to col ${newCol}.`);
-        let col = newCol;
-        let operator = '=';
-        let value = cond.value;
-        let valType = cond.valType;
-
-        if (typeof cond.operator === 'string') {
-          const selected = cond.operator.toUpperCase();
-          if (typeof this.#conditions[selected] === 'function') {
-            const result = this.#conditions[selected](cond);
-            if (typeof result.operator === 'string') operator = result.operator;
-            if (typeof result.value !== 'undefined') value = result.value;
-            if (typeof result.column === 'string') col = result.column;
-            if (typeof result.valType === 'string') valType = result.valType;
-          }
-        }
-
-        if (!Array.isArray(pCache.values)) throw new Error('Invalid pCache values');
-        pCache.values.push(value);
-        return `(${col} ${operator} $${getParamResult(valType)})`;
+        return `(${this.#parseCondition(pCache, newCol, cond)})`;
       });
       return innerConditions.join(` ${logic} `);
     }
 
     // If it's a single condition
-    let col = group.column;
-    let operator = '=';
-    let value = group.value;
-    let valType = group.valType;
+    const cond = /** @type {WhereConditions} */ (group);
+    return this.#parseCondition(pCache, `${cond.column}`, cond);
+  }
 
-    if (typeof group.operator === 'string') {
-      const selected = group.operator.toUpperCase();
+  /**
+   * Returns the condition key of an operator, ignoring the case and extra spaces (`'not  in'` → `'NOT IN'`).
+   *
+   * @param {string} operator
+   * @returns {string}
+   */
+  #conditionKey(operator) {
+    return operator.trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+
+  /**
+   * Builds the SQL of a single condition of `parseWhere()` and pushes its values into the placeholder cache.
+   *
+   * The `valueMode` returned by the condition handler decides how the value is sent:
+   * - `'single'` (default): `col op $1`
+   * - `'list'`: `col op ($1, $2, ...)`, the value must be a non-empty array (`IN`, `NOT IN`).
+   * - `'range'`: `col op $1 AND $2`, the value must be a `[min, max]` array (`BETWEEN`).
+   * - `'none'`: `col op`, the value is ignored (`IS NULL`, `IS NOT NULL`).
+   *
+   * @param {Pcache} pCache - Placeholder cache object.
+   * @param {string} column - The column of the condition.
+   * @param {WhereConditions} cond - The condition.
+   * @returns {string}
+   * @throws {Error} If the condition is not available on the engine of this table.
+   * @throws {TypeError} If the value does not match the value mode of the operator.
+   */
+  #parseCondition(pCache, column, cond) {
+    if (!Array.isArray(pCache.values)) throw new Error('Invalid pCache values');
+    const values = pCache.values;
+    let col = column;
+    let operator = '=';
+    let value = cond.value;
+    let valType = cond.valType;
+    /** @type {WhereValueMode} */
+    let valueMode = 'single';
+
+    if (typeof cond.operator === 'string') {
+      const selected = this.#conditionKey(cond.operator);
+      this.#checkConditionPack(selected);
       if (typeof this.#conditions[selected] === 'function') {
-        const result = this.#conditions[selected](group);
+        // The flat form has the column in the key
+        const result = this.#conditions[selected]({ ...cond, column });
         if (typeof result.operator === 'string') operator = result.operator;
         if (typeof result.column === 'string') col = result.column;
         if (typeof result.valType === 'string') valType = result.valType;
         if (typeof result.value !== 'undefined') value = result.value;
+        if (typeof result.valueMode === 'string') valueMode = result.valueMode;
       }
     }
 
-    pCache.values.push(value);
-    return `${col} ${operator} ${getParamResult(valType)}`;
+    // SQLite only knows REGEXP when the connection defines a regexp() function
+    if (operator.toUpperCase() === 'REGEXP' && this.#db && !this.#db.getEngineAdapter().regexp)
+      throw new Error(
+        `[PuddySql] The REGEXP operator of column "${column}" needs a regexp() function, which the ` +
+          `"${this.#db.getSqlEngine()}" engine does not define. Use the better-sqlite3 engine or an adapter with \`regexp: true\`.`,
+      );
+
+    /** @returns {string} */
+    const getParamResult = () => {
+      if (typeof pCache.index !== 'number') throw new Error('Invalid pCache index');
+      const newIndex = pCache.index++;
+      return typeof valType === 'string' && typeof this.#customValFunc[valType] === 'function'
+        ? this.#customValFunc[valType](`$${newIndex}`)
+        : `$${newIndex}`;
+    };
+
+    switch (valueMode) {
+      case 'none':
+        return `${col} ${operator}`;
+
+      case 'list':
+        if (!Array.isArray(value) || value.length === 0)
+          throw new TypeError(
+            `The ${operator} operator of column "${column}" requires a non-empty array value.`,
+          );
+        values.push(...value);
+        return `${col} ${operator} (${value.map(() => getParamResult()).join(', ')})`;
+
+      case 'range':
+        if (!Array.isArray(value) || value.length !== 2)
+          throw new TypeError(
+            `The ${operator} operator of column "${column}" requires a [min, max] array value.`,
+          );
+        values.push(value[0], value[1]);
+        return `${col} ${operator} ${getParamResult()} AND ${getParamResult()}`;
+
+      default:
+        values.push(value);
+        return `${col} ${operator} ${getParamResult()}`;
+    }
   }
 
   /**
@@ -2101,6 +3178,122 @@ class PuddySqlQuery {
           : this.insertJoin();
   }
 
+  /**
+   * Returns the table aliases usable by a query with the given joins.
+   *
+   * @param {JoinObj|JoinObj[]|string|null} join - The join configuration(s) (see `parseJoin()`).
+   * @returns {string[]}
+   */
+  #joinAliases(join) {
+    const aliases = ['t'];
+    if (isJsonObject(join)) aliases.push('j1');
+    else if (Array.isArray(join)) join.forEach((_, index) => aliases.push(`j${index + 1}`));
+    else if (typeof join === 'string')
+      for (const match of join.matchAll(/\bJOIN\s+[\w."]+\s+(?:AS\s+)?([A-Za-z_]\w*)/gi))
+        if (match[1].toUpperCase() !== 'ON') aliases.push(match[1]);
+    // A custom join replaces the settings join, so "j" only exists when the settings join is used
+    if (
+      typeof this.#settings.join === 'string' &&
+      (join === null || join === undefined || join === this.#settings.join)
+    )
+      aliases.push('j');
+    return aliases;
+  }
+
+  /**
+   * Checks a list of order columns against the table columns and the JOIN aliases.
+   *
+   * @param {OrderColumn[]} order - The order columns.
+   * @param {JoinObj|JoinObj[]|string|null} join - The joins of the query.
+   * @returns {{ alias: string, name: string, sql: string, desc: boolean, nulls: string|null, collate: string|null }[]}
+   *   Each column, with `sql` being the quoted `alias.column`.
+   * @throws {TypeError} If an order column is invalid or unknown.
+   */
+  #orderColumns(order, join) {
+    const dialect = this.#getDialect();
+    const aliases = this.#joinAliases(join);
+    return order.map((item, index) => {
+      if (!isJsonObject(item) || typeof item.column !== 'string' || !item.column.trim())
+        throw new TypeError(`Order item ${index} must be an object with a 'column' string.`);
+      const { direction = 'ASC', nulls = null, collate = null } = item;
+
+      const dot = item.column.indexOf('.');
+      const alias = dot > -1 ? item.column.slice(0, dot) : 't';
+      const name = dot > -1 ? item.column.slice(dot + 1) : item.column;
+      if (!aliases.includes(alias))
+        throw new TypeError(
+          `Unknown table alias "${alias}" in order column "${item.column}". Known aliases: ${aliases.join(', ')}.`,
+        );
+      if (alias === 't' && !this.#table.hasOwnProperty(name))
+        throw new TypeError(
+          `Unknown order column "${name}" in the table "${this.#settings.name}".`,
+        );
+      if (typeof direction !== 'string' || !['ASC', 'DESC'].includes(direction.toUpperCase()))
+        throw new TypeError(`Order direction of "${item.column}" must be 'ASC' or 'DESC'.`);
+      if (
+        nulls !== null &&
+        (typeof nulls !== 'string' || !['FIRST', 'LAST'].includes(nulls.toUpperCase()))
+      )
+        throw new TypeError(`Order nulls of "${item.column}" must be 'FIRST', 'LAST' or null.`);
+      if (collate !== null && (typeof collate !== 'string' || !collate.trim()))
+        throw new TypeError(
+          `Order collate of "${item.column}" must be a non-empty string or null.`,
+        );
+
+      // Plain names stay unquoted, so PostgreSQL folds their case like in the CREATE TABLE
+      const quoted = /^[A-Za-z_]\w*$/.test(name) ? name : dialect.quoteIdentifier(name);
+      return {
+        alias,
+        name,
+        sql: `${alias}.${quoted}`,
+        desc: direction.toUpperCase() === 'DESC',
+        nulls: nulls === null ? null : nulls.toUpperCase(),
+        collate,
+      };
+    });
+  }
+
+  /**
+   * Builds an ORDER BY clause (without the keywords) from an order setting.
+   *
+   * The primary key (and `subId`) is appended when missing, as a tiebreaker,
+   * so rows with the same values always come in the same order across pages.
+   * Strings are used as they are; lists of order columns are checked and quoted.
+   *
+   * @param {OrderBy|null|undefined} order - The order setting.
+   * @param {JoinObj|JoinObj[]|string|null} [join=null] - The joins of the query.
+   * @param {boolean} [always=false] - If true, orders by the primary key when there is no order.
+   * @returns {string} The clause, or an empty string when there is no order.
+   * @throws {TypeError} If the order is invalid.
+   */
+  #orderClause(order, join = null, always = false) {
+    if (order === null || typeof order === 'undefined' || order === '' || order.length === 0) {
+      if (!always) return '';
+      order = [];
+    }
+
+    /** @type {string[]} */
+    let parts;
+    /** @type {string[]} */
+    let names;
+    if (typeof order === 'string') {
+      parts = [order];
+      names = order.split(',').map((part) => part.trim().split(/\s+/)[0].replace(/^t\./, ''));
+    } else if (Array.isArray(order)) {
+      const columns = this.#orderColumns(order, join);
+      parts = columns.map(
+        ({ sql, desc, nulls, collate }) =>
+          `${sql}${collate !== null ? ` COLLATE ${this.#getDialect().quoteIdentifier(collate)}` : ''}` +
+          ` ${desc ? 'DESC' : 'ASC'}${nulls !== null ? ` NULLS ${nulls}` : ''}`,
+      );
+      names = columns.filter(({ alias }) => alias === 't').map(({ name }) => name);
+    } else throw new TypeError(`'order' must be a string or an array of order columns.`);
+
+    for (const key of [this.#settings.id, this.#settings.subId])
+      if (key && !names.includes(key)) parts.push(`t.${key}`);
+    return parts.join(', ');
+  }
+
   /**
    * Finds the first item matching the filter, along with its position, page, and total info.
    * Uses a single SQL query to calculate everything efficiently.
@@ -2148,8 +3341,8 @@ class PuddySqlQuery {
     )
       throw new TypeError(`'searchData.select' must be a string, array, object or null`);
 
-    if (order !== undefined && order !== null && typeof order !== 'string')
-      throw new TypeError(`'searchData.order' must be a string if defined`);
+    if (order !== undefined && order !== null && typeof order !== 'string' && !Array.isArray(order))
+      throw new TypeError(`'searchData.order' must be a string or an array if defined`);
 
     if (
       joinConfig !== null &&
@@ -2198,7 +3391,7 @@ class PuddySqlQuery {
     }
 
     const whereClause = whereParts.length ? `WHERE ${whereParts.join(' ')}` : '';
-    const orderClause = order ? `ORDER BY ${order}` : '';
+    const orderClause = `ORDER BY ${this.#orderClause(order, joinConfig, true)}`;
 
     // Avoid selecting data if selectValue is null
     const selectedColumns = selectValue === null ? '' : `${this.selectGenerator(selectValue)},`;
@@ -2206,7 +3399,7 @@ class PuddySqlQuery {
     const query = `
     WITH matched AS (
       SELECT ${selectedColumns}
-             ROW_NUMBER() OVER (${orderClause || 'ORDER BY (SELECT 1)'}) AS rn,
+             ROW_NUMBER() OVER (${orderClause}) AS rn,
              COUNT(*) OVER () AS total
       FROM ${this.#settings.name} t
       ${this.parseJoin(joinConfig)}
@@ -2241,7 +3434,7 @@ class PuddySqlQuery {
     const db = this.getDb();
     const { query, values, perPage, selectValue } = this.findQuery(searchData);
 
-    const row = await db.get(query, values, 'find');
+    const row = await db.get(query, values, 'find', this.#queryOptions());
     if (!row) return null;
 
     const total = parseInt(row.total);
@@ -2267,6 +3460,68 @@ class PuddySqlQuery {
     return response;
   }
 
+  /**
+   * Builds the WHERE parts of a search from its `q` and `tagsQ` criteria.
+   *
+   * @param {Record<string, any>} searchData - The search configuration (see `search()`).
+   * @param {Pcache} pCache - Parameter cache that receives the values.
+   * @returns {string[]} The parts to join with spaces (empty when there is no filter).
+   * @throws {TypeError} If the criteria are invalid.
+   */
+  #searchWhere(searchData, pCache) {
+    const criteria = searchData.q ?? {};
+    const tagCriteria = searchData.tagsQ ?? {};
+    const isFlatTags = searchData.isFlatTags ?? false;
+    const tagCriteriaOps = searchData.tagsOpsQ;
+
+    if (!isJsonObject(criteria))
+      throw new TypeError(`'searchData.q' must be a plain object or valid QueryGroup`);
+
+    if (
+      tagCriteria !== undefined &&
+      tagCriteria !== null &&
+      !Array.isArray(tagCriteria) &&
+      !isJsonObject(tagCriteria)
+    )
+      throw new TypeError(`'searchData.tagsQ' must be an array, object or null`);
+
+    if (tagCriteriaOps !== undefined && tagCriteriaOps !== null && !Array.isArray(tagCriteriaOps))
+      throw new TypeError(`'searchData.tagsOpsQ' must be an array if defined`);
+
+    const whereParts = [];
+
+    if (Object.keys(criteria).length) {
+      whereParts.push(this.parseWhere(pCache, criteria));
+    }
+
+    if (Array.isArray(tagCriteria)) {
+      const operators = Array.isArray(tagCriteriaOps) ? tagCriteriaOps : [];
+
+      tagCriteria.forEach((group, i) => {
+        if (!isJsonObject(group) || typeof group.column !== 'string')
+          throw new TypeError(`Each item in 'tagsQ' must be a valid object`);
+
+        const tag = this.getTagEditor(group.column);
+        const clause = !isFlatTags
+          ? tag.parseWhere(group, pCache)
+          : tag.parseWhereFlat(group, pCache);
+        if (!clause) return;
+
+        const op = i > 0 ? operators[i - 1] || 'AND' : null;
+        if (op) whereParts.push(op);
+        whereParts.push(clause);
+      });
+    } else if (isJsonObject(tagCriteria) && typeof tagCriteria.column === 'string') {
+      const tag = this.getTagEditor(tagCriteria.column);
+      const clause = !isFlatTags
+        ? tag.parseWhere(tagCriteria, pCache)
+        : tag.parseWhereFlat(tagCriteria, pCache);
+      if (clause) whereParts.push(clause);
+    }
+
+    return whereParts;
+  }
+
   /**
    * Perform a filtered search with advanced nested criteria, pagination, and customizable settings.
    *
@@ -2286,7 +3541,8 @@ class PuddySqlQuery {
    * @param {string|JoinObj|JoinObj[]} [searchData.join] - A string for single join or array of objects for multiple joins.
    *        Each object should contain `{ table: 'name', compare: 'ON clause' }`.
    * @param {number} [searchData.limit] - Max number of results to return (ignored when `perPage` is used).
-   * @returns {{ query: string; perPage: number | null; values: any[]; page: number; }}
+   * @param {CountMode} [searchData.countMode='exact'] - How the pagination total is found (see `execPagination()`).
+   * @returns {{ query: string; perPage: number | null; values: any[]; page: number; countMode: CountMode; }}
    * @throws {Error} If searchData has invalid structure or values.
    *
    * @example
@@ -2331,15 +3587,7 @@ class PuddySqlQuery {
     const selectValue = searchData.select ?? '*';
     const perPage = searchData.perPage ?? null;
     const page = searchData.page ?? 1;
-
-    const criteria = searchData.q ?? {};
-    const tagCriteria = searchData.tagsQ ?? {};
-    const isFlatTags = searchData.isFlatTags ?? false;
-    const tagCriteriaOps = searchData.tagsOpsQ;
-
-    // --- Validate searchData types ---
-    if (!isJsonObject(criteria))
-      throw new TypeError(`'searchData.q' must be a plain object or valid QueryGroup`);
+    const countMode = searchData.countMode ?? 'exact';
 
     if (
       selectValue !== null &&
@@ -2349,8 +3597,8 @@ class PuddySqlQuery {
     )
       throw new TypeError(`'searchData.select' must be a string, array, object or null`);
 
-    if (order !== undefined && order !== null && typeof order !== 'string')
-      throw new TypeError(`'searchData.order' must be a string if defined`);
+    if (order !== undefined && order !== null && typeof order !== 'string' && !Array.isArray(order))
+      throw new TypeError(`'searchData.order' must be a string or an array if defined`);
 
     if (join !== null && typeof join !== 'string' && !Array.isArray(join) && !isJsonObject(join))
       throw new TypeError(`'searchData.join' must be a string, array, object or null`);
@@ -2367,58 +3615,21 @@ class PuddySqlQuery {
     if (typeof page !== 'number' || !Number.isInteger(page) || page < 1)
       throw new TypeError(`'searchData.page' must be a positive integer`);
 
-    if (
-      tagCriteria !== undefined &&
-      tagCriteria !== null &&
-      !Array.isArray(tagCriteria) &&
-      !isJsonObject(tagCriteria)
-    )
-      throw new TypeError(`'searchData.tagsQ' must be an array, object or null`);
-
-    if (tagCriteriaOps !== undefined && tagCriteriaOps !== null && !Array.isArray(tagCriteriaOps))
-      throw new TypeError(`'searchData.tagsOpsQ' must be an array if defined`);
+    if (!this.#countModes.includes(countMode))
+      throw new TypeError(`'searchData.countMode' must be one of: ${this.#countModes.join(', ')}`);
 
     /** @type {Pcache} */
     const pCache = { index: 1, values: [] };
 
     // Where
-    const whereParts = [];
-
-    if (Object.keys(criteria).length) {
-      whereParts.push(this.parseWhere(pCache, criteria));
-    }
-
-    if (Array.isArray(tagCriteria)) {
-      const operators = Array.isArray(tagCriteriaOps) ? tagCriteriaOps : [];
-
-      tagCriteria.forEach((group, i) => {
-        if (!isJsonObject(group) || typeof group.column !== 'string')
-          throw new TypeError(`Each item in 'tagsQ' must be a valid object`);
-
-        const tag = this.getTagEditor(group.column);
-        const clause = !isFlatTags
-          ? tag.parseWhere(group, pCache)
-          : tag.parseWhereFlat(group, pCache);
-        if (!clause) return;
-
-        const op = i > 0 ? operators[i - 1] || 'AND' : null;
-        if (op) whereParts.push(op);
-        whereParts.push(clause);
-      });
-    } else if (isJsonObject(tagCriteria) && typeof tagCriteria.column === 'string') {
-      const tag = this.getTagEditor(tagCriteria.column);
-      const clause = !isFlatTags
-        ? tag.parseWhere(tagCriteria, pCache)
-        : tag.parseWhereFlat(tagCriteria, pCache);
-      if (clause) whereParts.push(clause);
-    }
-
+    const whereParts = this.#searchWhere(searchData, pCache);
     const whereClause = whereParts.length ? `WHERE ${whereParts.join(' ')}` : '';
     const { values } = pCache;
     if (!Array.isArray(values)) throw new Error('Invalid pCache.values');
 
-    // Order by
-    const orderClause = order ? `ORDER BY ${order}` : '';
+    // Order by (always set when paginating, so the pages are stable)
+    const orderBy = this.#orderClause(order, join, perPage !== null);
+    const orderClause = orderBy ? `ORDER BY ${orderBy}` : '';
 
     // Limit
     const limitClause =
@@ -2431,7 +3642,270 @@ class PuddySqlQuery {
                        ${orderClause} 
                        ${limitClause}`.trim();
 
-    return { query, perPage, values, page };
+    return { query, perPage, values, page, countMode };
+  }
+
+  /**
+   * Operators allowed by a filter policy when it does not list the operators of a column.
+   * @type {string[]}
+   */
+  #policyOperators = [
+    '=',
+    '!=',
+    'NOT',
+    '>',
+    '>=',
+    '<',
+    '<=',
+    'LIKE',
+    'ILIKE',
+    'IN',
+    'NOT IN',
+    'BETWEEN',
+    'IS NULL',
+    'IS NOT NULL',
+  ];
+
+  /**
+   * Search options accepted when a filter policy is used. `join` is not allowed, since it is raw SQL.
+   * @type {string[]}
+   */
+  #policySearchKeys = [
+    'q',
+    'tagsQ',
+    'tagsOpsQ',
+    'isFlatTags',
+    'select',
+    'order',
+    'perPage',
+    'page',
+    'limit',
+    'countMode',
+    'cursor',
+  ];
+
+  /**
+   * Checks the structure of a filter policy.
+   *
+   * @param {FilterPolicy} policy
+   * @returns {FilterPolicy} A shallow copy of the policy.
+   * @throws {TypeError} If the policy is invalid.
+   */
+  #validateFilterPolicy(policy) {
+    if (!isJsonObject(policy)) throw new TypeError('filterPolicy must be a plain object or null.');
+    const { filterable, sortable, operators, maxDepth = 3, maxConditions = 20 } = policy;
+    for (const [name, list] of Object.entries({ filterable, sortable }))
+      if (
+        typeof list !== 'undefined' &&
+        (!Array.isArray(list) || list.some((column) => typeof column !== 'string'))
+      )
+        throw new TypeError(`filterPolicy.${name} must be an array of column names.`);
+    if (typeof operators !== 'undefined') {
+      if (!isJsonObject(operators))
+        throw new TypeError('filterPolicy.operators must be a plain object.');
+      for (const [column, list] of Object.entries(operators))
+        if (!Array.isArray(list) || list.some((operator) => typeof operator !== 'string'))
+          throw new TypeError(`filterPolicy.operators.${column} must be an array of operators.`);
+    }
+    if (!Number.isInteger(maxDepth) || maxDepth < 1)
+      throw new TypeError('filterPolicy.maxDepth must be a positive integer.');
+    if (!Number.isInteger(maxConditions) || maxConditions < 1)
+      throw new TypeError('filterPolicy.maxConditions must be a positive integer.');
+    return { ...policy };
+  }
+
+  /**
+   * Checks a client-supplied search against a filter policy and the columns of the table,
+   * before any SQL is generated.
+   *
+   * @param {Record<string, any>} searchData - The search configuration (see `search()`).
+   * @param {FilterPolicy} policy - The filter policy.
+   * @throws {FilterPolicyError} If the search uses something the policy does not allow.
+   * @throws {Error} If the table columns are unknown or the policy lists a column that does not exist.
+   */
+  #checkFilterPolicy(searchData, policy) {
+    const columns = Object.keys(this.#table);
+    if (columns.length === 0)
+      throw new Error(
+        `The filter policy of "${this.#settings.name}" needs the table columns. Create the table with createTable() first.`,
+      );
+
+    const filterable = policy.filterable ?? columns;
+    const sortable = policy.sortable ?? filterable;
+    const operators = policy.operators ?? {};
+    const maxDepth = policy.maxDepth ?? 3;
+    const maxConditions = policy.maxConditions ?? 20;
+    for (const column of [...filterable, ...sortable])
+      if (!columns.includes(column))
+        throw new Error(
+          `The filter policy column "${column}" does not exist in the table "${this.#settings.name}".`,
+        );
+
+    if (!isJsonObject(searchData))
+      throw new FilterPolicyError('The search must be an object', 'searchData');
+    for (const key of Object.keys(searchData))
+      if (!this.#policySearchKeys.includes(key))
+        throw new FilterPolicyError(`"${key}" is not allowed in filtered searches`, key);
+
+    // Conditions
+    let count = 0;
+
+    /**
+     * @param {string} column
+     * @param {any} cond
+     * @param {string} path
+     */
+    const checkCondition = (column, cond, path) => {
+      if (!isJsonObject(cond)) throw new FilterPolicyError('Conditions must be objects', path);
+      if (!filterable.includes(column))
+        throw new FilterPolicyError(`Column "${column}" is not filterable`, path);
+      for (const key of Object.keys(cond))
+        if (!['column', 'operator', 'value', 'lPos'].includes(key))
+          throw new FilterPolicyError(`"${key}" is not allowed in conditions`, `${path}.${key}`);
+      if (++count > maxConditions)
+        throw new FilterPolicyError(`More than ${maxConditions} conditions`, path);
+
+      if (typeof cond.operator !== 'undefined' && typeof cond.operator !== 'string')
+        throw new FilterPolicyError('The operator must be a string', `${path}.operator`);
+      const operator = typeof cond.operator === 'string' ? this.#conditionKey(cond.operator) : '=';
+      const allowed = operators[column] ?? operators['*'] ?? this.#policyOperators;
+      if (!allowed.some((item) => this.#conditionKey(item) === operator))
+        throw new FilterPolicyError(
+          `Operator "${operator}" is not allowed on column "${column}"`,
+          `${path}.operator`,
+        );
+
+      /** @param {any} value */
+      const isScalar = (value) =>
+        value === null || ['string', 'number', 'boolean'].includes(typeof value);
+      const { value } = cond;
+      if (
+        typeof value !== 'undefined' &&
+        !isScalar(value) &&
+        !(Array.isArray(value) && value.every(isScalar))
+      )
+        throw new FilterPolicyError(
+          'Values must be strings, numbers, booleans, null or arrays of them',
+          `${path}.value`,
+        );
+    };
+
+    /**
+     * @param {any} group
+     * @param {string} path
+     * @param {number} depth
+     */
+    const checkGroup = (group, path, depth) => {
+      if (!isJsonObject(group)) throw new FilterPolicyError('Conditions must be objects', path);
+      if (Array.isArray(group.conditions)) {
+        if (depth + 1 > maxDepth)
+          throw new FilterPolicyError(`Condition groups are nested deeper than ${maxDepth}`, path);
+        for (const key of Object.keys(group))
+          if (!['group', 'conditions'].includes(key))
+            throw new FilterPolicyError(`"${key}" is not allowed in condition groups`, path);
+        if (
+          typeof group.group !== 'undefined' &&
+          (typeof group.group !== 'string' || !['AND', 'OR'].includes(group.group.toUpperCase()))
+        )
+          throw new FilterPolicyError('The group must be "AND" or "OR"', `${path}.group`);
+        group.conditions.forEach((/** @type {any} */ cond, /** @type {number} */ i) =>
+          checkGroup(cond, `${path}.conditions[${i}]`, depth + 1),
+        );
+      } else if (group.column) {
+        if (typeof group.column !== 'string')
+          throw new FilterPolicyError('The column must be a string', `${path}.column`);
+        checkCondition(group.column, group, path);
+      } else
+        for (const [column, cond] of Object.entries(group))
+          checkCondition(column, cond, `${path}.${column}`);
+    };
+
+    if (typeof searchData.q !== 'undefined') checkGroup(searchData.q, 'q', 0);
+
+    // Tags
+    const tagsQ = searchData.tagsQ ?? [];
+    for (const [i, group] of (Array.isArray(tagsQ) ? tagsQ : [tagsQ]).entries()) {
+      const path = Array.isArray(tagsQ) ? `tagsQ[${i}]` : 'tagsQ';
+      if (!isJsonObject(group) || typeof group.column !== 'string')
+        throw new FilterPolicyError('Tag criteria must be objects with a column', path);
+      if (!filterable.includes(group.column) || !this.hasTagEditor(group.column))
+        throw new FilterPolicyError(
+          `Column "${group.column}" is not a filterable tag column`,
+          path,
+        );
+      // `tableName` is inserted in the SQL
+      for (const key of Object.keys(group))
+        if (!['column', 'include', 'allowWildcards'].includes(key))
+          throw new FilterPolicyError(`"${key}" is not allowed in tag criteria`, `${path}.${key}`);
+    }
+    if (typeof searchData.tagsOpsQ !== 'undefined') {
+      if (
+        !Array.isArray(searchData.tagsOpsQ) ||
+        searchData.tagsOpsQ.some(
+          (/** @type {any} */ op) =>
+            typeof op !== 'string' || !['AND', 'OR'].includes(op.toUpperCase()),
+        )
+      )
+        throw new FilterPolicyError('Tag operators must be "AND" or "OR"', 'tagsOpsQ');
+    }
+
+    // Order
+    const { order } = searchData;
+    if (Array.isArray(order))
+      order.forEach((/** @type {any} */ item, /** @type {number} */ i) => {
+        const path = `order[${i}]`;
+        if (!isJsonObject(item) || typeof item.column !== 'string')
+          throw new FilterPolicyError('Order items must be objects with a column', path);
+        for (const key of Object.keys(item))
+          if (!['column', 'direction', 'nulls', 'collate'].includes(key))
+            throw new FilterPolicyError(`"${key}" is not allowed in order items`, `${path}.${key}`);
+        if (!sortable.includes(item.column))
+          throw new FilterPolicyError(`Column "${item.column}" is not sortable`, `${path}.column`);
+        const { direction = 'ASC', nulls = null } = item;
+        if (typeof direction !== 'string' || !['ASC', 'DESC'].includes(direction.toUpperCase()))
+          throw new FilterPolicyError('The direction must be "ASC" or "DESC"', `${path}.direction`);
+        if (
+          nulls !== null &&
+          (typeof nulls !== 'string' || !['FIRST', 'LAST'].includes(nulls.toUpperCase()))
+        )
+          throw new FilterPolicyError('Nulls must be "FIRST", "LAST" or null', `${path}.nulls`);
+      });
+    else if (typeof order !== 'undefined') {
+      if (typeof order !== 'string')
+        throw new FilterPolicyError('The order must be a string or an array', 'order');
+      for (const part of order.split(',')) {
+        const match = part.trim().match(/^([A-Za-z_]\w*)(?:\s+(ASC|DESC))?$/i);
+        if (!match)
+          throw new FilterPolicyError(
+            `Only "column ASC|DESC" is allowed in the order. Got: ${part.trim()}`,
+            'order',
+          );
+        if (!sortable.includes(match[1]))
+          throw new FilterPolicyError(`Column "${match[1]}" is not sortable`, 'order');
+      }
+    }
+
+    // Select
+    const { select } = searchData;
+    if (typeof select !== 'undefined' && select !== '*') {
+      const selected = typeof select === 'string' ? [select] : select;
+      if (
+        !Array.isArray(selected) ||
+        selected.some((column) => typeof column !== 'string' || !columns.includes(column))
+      )
+        throw new FilterPolicyError('Only column names of the table can be selected', 'select');
+    }
+
+    // Numbers interpolated in the SQL
+    for (const key of ['perPage', 'page', 'limit']) {
+      const value = searchData[key];
+      if (
+        typeof value !== 'undefined' &&
+        value !== null &&
+        (typeof value !== 'number' || !Number.isInteger(value) || value < 1)
+      )
+        throw new FilterPolicyError(`"${key}" must be a positive integer`, key);
+    }
   }
 
   /**
@@ -2452,27 +3926,368 @@ class PuddySqlQuery {
    * @param {string|JoinObj|JoinObj[]} [searchData.join] - A string for single join or array of objects for multiple joins.
    *        Each object should contain `{ table: 'name', compare: 'ON clause' }`.
    * @param {number} [searchData.limit] - Max number of results to return (ignored when `perPage` is used).
-   * @returns {Promise<FreeObj[]|PaginationResult>} - Result rows matching the query.
+   * @param {CountMode} [searchData.countMode='exact'] - How the pagination total is found (see `execPagination()`).
+   * @param {string|null} [searchData.cursor] - Enables the cursor pagination: `null` for the first page,
+   *        then the `nextCursor` or `prevCursor` of a previous result. Requires `perPage`.
+   * @param {Object} [options={}] - Search options.
+   * @param {FilterPolicy|boolean} [options.policy=false] - Validates `searchData` against a filter policy before
+   *        generating the SQL, for searches supplied by clients. `true` uses the `filterPolicy` of the table.
+   *        Column names, operators, `order` and `select` must be allowed by the policy, and `join` is rejected.
+   * @returns {Promise<FreeObj[]|PaginationResult|CursorPaginationResult>} - Result rows matching the query.
    * @throws {Error} If searchData has invalid structure or values.
+   * @throws {FilterPolicyError} If a policy is used and `searchData` does not follow it.
    */
-  async search(searchData = {}) {
+  async search(searchData = {}, options = {}) {
     const db = this.getDb();
-    const { query, values, perPage, page } = this.searchQuery(searchData);
+    if (!isJsonObject(options)) throw new TypeError(`'options' must be a object`);
+    const { policy = false } = options;
+    if (policy === true) {
+      if (!this.#filterPolicy)
+        throw new Error(`The table "${this.#settings.name}" has no filterPolicy setting.`);
+      this.#checkFilterPolicy(searchData, this.#filterPolicy);
+    } else if (policy !== false)
+      this.#checkFilterPolicy(searchData, this.#validateFilterPolicy(policy));
 
-    // Results
-    let results;
+    if (isJsonObject(searchData) && typeof searchData.cursor !== 'undefined')
+      return this.#cursorSearch(searchData);
+
+    const { query, values, perPage, page, countMode } = this.searchQuery(searchData);
 
     // Pagination
     if (typeof perPage === 'number' && perPage > -1)
-      results = await this.execPagination(query, values, perPage, page, 'search');
+      return this.#cached(`search-${perPage}-${page}-${countMode}`, query, values, () =>
+        this.execPagination(query, values, perPage, page, 'search', countMode),
+      );
+
     // Normal
-    else {
-      results = await db.all(query, values, 'search');
+    return this.#cached('search', query, values, async () => {
+      const results = await db.all(query, values, 'search', this.#queryOptions());
       for (const index in results) this.resultChecker(results[index]);
+      return results;
+    });
+  }
+
+  /**
+   * Parses an ORDER BY clause into the keyset columns of the cursor pagination,
+   * adding the primary key (and `subId`) as tiebreakers.
+   *
+   * Each column gets a fixed NULL position, since the cursor conditions must know where the
+   * NULL values are: the `nulls` of the order column, or the default of the dialect
+   * (SQLite sorts NULL as the smallest value, PostgreSQL as the largest).
+   *
+   * @param {OrderBy|null} order - The ORDER BY clause (e.g. `'created_at DESC, title'`) or order columns.
+   * @param {JoinObj|JoinObj[]|string|null} join - The joins of the query.
+   * @returns {{ column: string, desc: boolean, nullsFirst: boolean }[]}
+   * @throws {TypeError} If the clause has something other than plain columns.
+   */
+  #cursorColumns(order, join) {
+    const nullsLargest = this.#getDialect().name === 'postgre';
+    /** @param {boolean} desc */
+    const defaultNullsFirst = (desc) => desc === nullsLargest;
+
+    /** @type {{ column: string, desc: boolean, nullsFirst: boolean }[]} */
+    const columns = [];
+    if (Array.isArray(order))
+      for (const { sql, desc, nulls, collate } of this.#orderColumns(order, join)) {
+        if (collate !== null)
+          throw new TypeError(`Cursor pagination does not support 'collate' in 'order'.`);
+        columns.push({
+          column: sql,
+          desc,
+          nullsFirst: nulls === null ? defaultNullsFirst(desc) : nulls === 'FIRST',
+        });
+      }
+    else if (order)
+      for (const part of order.split(',')) {
+        const match = part.trim().match(/^([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?)(?:\s+(ASC|DESC))?$/i);
+        if (!match)
+          throw new TypeError(
+            `Cursor pagination only supports plain columns in 'order'. Got: ${part.trim()}`,
+          );
+        const desc = (match[2] ?? '').toUpperCase() === 'DESC';
+        columns.push({ column: match[1], desc, nullsFirst: defaultNullsFirst(desc) });
+      }
+
+    const names = columns.map(({ column }) => column.replace(/^t\./, ''));
+    for (const key of [this.#settings.id, this.#settings.subId])
+      if (key && !names.includes(key))
+        columns.push({ column: `t.${key}`, desc: false, nullsFirst: defaultNullsFirst(false) });
+    return columns;
+  }
+
+  /**
+   * Encodes the position of a row into an opaque cursor.
+   *
+   * @param {any[]} values - Values of the keyset columns.
+   * @param {'next'|'prev'} direction - Direction to read from the position.
+   * @returns {string}
+   */
+  #encodeCursor(values, direction) {
+    return Buffer.from(JSON.stringify({ v: values, d: direction })).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor created by `#encodeCursor()`.
+   *
+   * @param {string} cursor
+   * @param {number} size - Expected number of keyset values.
+   * @returns {{ v: any[], d: 'next'|'prev' }}
+   * @throws {TypeError} If the cursor is invalid or was made with another `order`.
+   */
+  #decodeCursor(cursor, size) {
+    /** @type {any} */
+    let data = null;
+    try {
+      data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      data = null;
     }
+    if (
+      !isJsonObject(data) ||
+      !Array.isArray(data.v) ||
+      data.v.length !== size ||
+      (data.d !== 'next' && data.d !== 'prev')
+    )
+      throw new TypeError(`Invalid cursor for this search. Got: ${cursor}`);
+    return { v: data.v, d: data.d };
+  }
 
-    // Complete
-    return results;
+  /**
+   * Runs a search with cursor (keyset) pagination.
+   *
+   * Instead of `COUNT(*)` and `OFFSET`, each page continues from the `order` columns
+   * (plus the primary key as a tiebreaker) of the last row of the previous page,
+   * so deep pages stay fast and rows changed between requests don't shift the pages.
+   *
+   * @param {Record<string, any>} searchData - The search configuration (see `search()`).
+   * @returns {Promise<CursorPaginationResult>}
+   * @throws {TypeError} If the search or the cursor is invalid.
+   */
+  async #cursorSearch(searchData) {
+    const { cursor = null, perPage, page, limit } = searchData;
+    const order = searchData.order ?? this.#settings.order;
+    const join = searchData.join ?? this.#settings.join;
+    const selectValue = searchData.select ?? '*';
+
+    if (cursor !== null && typeof cursor !== 'string')
+      throw new TypeError(`'searchData.cursor' must be a string or null`);
+    if (!Number.isInteger(perPage) || perPage < 1)
+      throw new TypeError(`'searchData.perPage' must be a positive integer when 'cursor' is used`);
+    if (typeof page !== 'undefined' || typeof limit !== 'undefined')
+      throw new TypeError(`'searchData.page' and 'searchData.limit' cannot be used with 'cursor'`);
+    if (order !== undefined && order !== null && typeof order !== 'string' && !Array.isArray(order))
+      throw new TypeError(`'searchData.order' must be a string or an array if defined`);
+    if (join !== null && typeof join !== 'string' && !Array.isArray(join) && !isJsonObject(join))
+      throw new TypeError(`'searchData.join' must be a string, array, object or null`);
+
+    const db = this.getDb();
+    const columns = this.#cursorColumns(order, join);
+    const position = cursor ? this.#decodeCursor(cursor, columns.length) : null;
+    const backward = position?.d === 'prev';
+
+    /** @type {Pcache} */
+    const pCache = { index: 1, values: [] };
+    const whereParts = this.#searchWhere(searchData, pCache);
+    const { values } = pCache;
+    if (!Array.isArray(values)) throw new Error('Invalid pCache.values');
+
+    const params = [...values];
+    const conditions = whereParts.length ? [`(${whereParts.join(' ')})`] : [];
+
+    // Reading backward reverses the whole order, NULL positions included
+    const scan = columns.map(({ column, desc, nullsFirst }) => ({
+      column,
+      desc: desc !== backward,
+      nullsFirst: nullsFirst !== backward,
+    }));
+
+    // (a > $x) OR (a = $x AND b > $y) OR ..., so each column can have its own direction.
+    // NULL values are compared with IS NULL / IS NOT NULL, since "= NULL" and "> NULL" never match.
+    if (position) {
+      const placeholders = position.v.map((value) => {
+        if (value === null) return null;
+        params.push(value);
+        return `$${params.length}`;
+      });
+      /** @type {string[]} */
+      const keyset = [];
+      scan.forEach(({ column, desc, nullsFirst }, index) => {
+        const placeholder = placeholders[index];
+        // Nothing comes after NULL when the NULL values are at the end
+        if (placeholder === null && !nullsFirst) return;
+
+        const parts = scan
+          .slice(0, index)
+          .map((prev, prevIndex) =>
+            placeholders[prevIndex] === null
+              ? `${prev.column} IS NULL`
+              : `${prev.column} = ${placeholders[prevIndex]}`,
+          );
+        if (placeholder === null) parts.push(`${column} IS NOT NULL`);
+        else {
+          const compare = `${column} ${desc ? '<' : '>'} ${placeholder}`;
+          parts.push(nullsFirst ? compare : `(${compare} OR ${column} IS NULL)`);
+        }
+        keyset.push(`(${parts.join(' AND ')})`);
+      });
+      conditions.push(keyset.length ? `(${keyset.join(' OR ')})` : '1 = 0');
+    }
+
+    const aliases = columns.map((_, index) => `puddysql_cursor_${index}`);
+    const select = `${this.selectGenerator(selectValue)}, ${columns
+      .map(({ column }, index) => `${column} AS ${aliases[index]}`)
+      .join(', ')}`;
+    const orderClause = scan
+      .map(
+        ({ column, desc, nullsFirst }) =>
+          `${column} ${desc ? 'DESC' : 'ASC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`,
+      )
+      .join(', ');
+
+    const query = `SELECT ${select} FROM ${this.#settings.name} t 
+                       ${this.parseJoin(join)} 
+                       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} 
+                       ORDER BY ${orderClause} 
+                       LIMIT ${perPage + 1}`;
+
+    return this.#cached(`search-cursor-${perPage}`, query, params, async () => {
+      /** @type {FreeObj[]} */
+      const rows = await db.all(query, params, 'cursor-search', this.#queryOptions());
+      const hasMore = rows.length > perPage;
+      const items = rows.slice(0, perPage);
+      if (backward) items.reverse();
+
+      /** @type {any[][]} */
+      const keys = items.map((row) => {
+        const key = aliases.map((alias) => row[alias]);
+        for (const alias of aliases) delete row[alias];
+        this.resultChecker(row);
+        return key;
+      });
+
+      const first = keys[0];
+      const last = keys[keys.length - 1];
+      return {
+        items,
+        nextCursor: last && (backward || hasMore) ? this.#encodeCursor(last, 'next') : null,
+        prevCursor:
+          first && (backward ? hasMore : position !== null)
+            ? this.#encodeCursor(first, 'prev')
+            : null,
+      };
+    });
+  }
+
+  /**
+   * Streams the rows matching a search, loading them in batches.
+   *
+   * Uses keyset pagination on the primary key (and `subId`, when configured) instead of `OFFSET`,
+   * so each batch query stays fast and only one batch is kept in memory.
+   * The `q`, `tagsQ`, `tagsOpsQ`, `isFlatTags` and `select` options work like in `search()`,
+   * and each row goes through `resultChecker()`. Rows are always ordered by the primary key, so
+   * `order`, `perPage` and `page` are not supported. Joins are rejected too: a one-to-many join repeats
+   * the primary key, and the rows sharing the last key of a batch would be skipped.
+   *
+   * @param {Object} [searchData={}] - Search configuration (see `search()`).
+   * @param {QueryGroup} [searchData.q={}] - Nested criteria object.
+   * @param {TagCriteria[]|TagCriteria|null} [searchData.tagsQ] - One or multiple tag criteria groups.
+   * @param {string[]} [searchData.tagsOpsQ] - Optional logical operators between tag groups.
+   * @param {boolean} [searchData.isFlatTags=false] - Use the parseWhereFlat mode to tags.
+   * @param {SelectQuery} [searchData.select='*'] - Columns or expressions to select.
+   * @param {string|JoinObj|JoinObj[]} [searchData.join] - Only an empty array is accepted, to skip the `join`
+   *   of the table settings. Other joins throw.
+   * @param {number} [searchData.limit] - Max number of rows to return in total.
+   * @param {Object} [options={}]
+   * @param {number} [options.batchSize=1000] - Number of rows loaded by each query.
+   * @returns {AsyncGenerator<FreeObj, void, undefined>}
+   * @throws {TypeError} If the search or the options are invalid, or the query has a join.
+   *
+   * @example
+   * for await (const post of posts.iterate({ tagsQ: { column: 'tags', value: ['cute'] } }, { batchSize: 500 }))
+   *   await exportPost(post);
+   */
+  async *iterate(searchData = {}, options = {}) {
+    if (!isJsonObject(searchData)) throw new TypeError(`'searchData' must be a object`);
+    if (!isJsonObject(options)) throw new TypeError(`'options' must be a object`);
+    /** @type {Record<string, any>} */
+    const unsupported = searchData;
+    for (const key of ['order', 'perPage', 'page'])
+      if (typeof unsupported[key] !== 'undefined' && unsupported[key] !== null)
+        throw new TypeError(`'searchData.${key}' is not supported by iterate()`);
+
+    const { batchSize = 1000 } = options;
+    const join = searchData.join ?? this.#settings.join;
+    const limit = searchData.limit ?? null;
+    const selectValue = searchData.select ?? '*';
+
+    if (!Number.isInteger(batchSize) || batchSize < 1)
+      throw new TypeError(`'options.batchSize' must be a positive integer`);
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0))
+      throw new TypeError(`'searchData.limit' must be a non-negative integer if defined`);
+    if (join !== null && typeof join !== 'string' && !Array.isArray(join) && !isJsonObject(join))
+      throw new TypeError(`'searchData.join' must be a string, array, object or null`);
+    if (this.parseJoin(join).trim() !== '')
+      throw new TypeError(
+        `iterate() does not support joins, since the keyset of the primary key would skip joined rows. ` +
+          `Use 'searchData.join: []' to ignore the join of the table settings.`,
+      );
+
+    const db = this.getDb();
+
+    /** @type {Pcache} */
+    const pCache = { index: 1, values: [] };
+    const whereParts = this.#searchWhere(searchData, pCache);
+    const filter = whereParts.length ? `(${whereParts.join(' ')})` : '';
+    const { values } = pCache;
+    if (!Array.isArray(values)) throw new Error('Invalid pCache.values');
+
+    // Keyset columns, read back through aliases so the selected columns don't matter
+    const keyColumns = [`t.${this.#settings.id}`];
+    if (this.#settings.subId) keyColumns.push(`t.${this.#settings.subId}`);
+    const keyAliases = keyColumns.map((_, index) => `puddysql_iterate_key${index}`);
+    const select = `${this.selectGenerator(selectValue)}, ${keyColumns
+      .map((column, index) => `${column} AS ${keyAliases[index]}`)
+      .join(', ')}`;
+
+    /** @type {any[]|null} */
+    let lastKey = null;
+    let remaining = limit ?? Infinity;
+
+    while (remaining > 0) {
+      const params = [...values];
+      const conditions = filter ? [filter] : [];
+      if (lastKey) {
+        const placeholders = lastKey.map((value) => {
+          params.push(value);
+          return `$${params.length}`;
+        });
+        conditions.push(
+          keyColumns.length > 1
+            ? `(${keyColumns.join(', ')}) > (${placeholders.join(', ')})`
+            : `${keyColumns[0]} > ${placeholders[0]}`,
+        );
+      }
+
+      const size = Math.min(batchSize, remaining);
+      const query = `SELECT ${select} FROM ${this.#settings.name} t 
+                       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} 
+                       ORDER BY ${keyColumns.join(', ')} 
+                       LIMIT ${size}`;
+
+      const rows = await db.all(query, params, 'iterate', this.#queryOptions());
+      if (rows.length === 0) return;
+
+      const last = rows[rows.length - 1];
+      lastKey = keyAliases.map((alias) => last[alias]);
+      remaining -= rows.length;
+
+      for (const row of rows) {
+        for (const alias of keyAliases) delete row[alias];
+        yield this.resultChecker(row);
+      }
+
+      if (rows.length < size) return;
+    }
   }
 }
 
@@ -0,0 +1,343 @@
+import PuddySqlEngine from './PuddySqlEngine.mjs';
+
+/** @typedef {import('./PuddySqlQuery.mjs').default} PuddySqlQuery */
+/** @typedef {import('./PuddySqlEngine.mjs').QueryOptions} QueryOptions */
+/** @typedef {import('./Loggers.mjs').Logger} Logger */
+/** @typedef {import('./Loggers.mjs').LogLevel} LogLevel */
+
+/**
+ * Connection used by a transaction to execute its queries.
+ *
+ * On PostgreSQL this wraps a dedicated client checked out from the pool,
+ * so every query of the transaction lands on the same connection.
+ * On SQLite3 it wraps the single database connection.
+ *
+ * @typedef {Object} TransactionClient
+ * @property {PuddySqlEngine['all']} all - Executes a query expected to return multiple rows.
+ * @property {PuddySqlEngine['get']} get - Executes a query expected to return a single row.
+ * @property {PuddySqlEngine['run']} run - Executes a query that modifies the database.
+ * @property {(err?: Error) => void} release - Gives the connection back once the transaction is finished.
+ */
+
+/**
+ * Minimal interface of the instance that owns a transaction.
+ *
+ * @typedef {Object} TransactionOwner
+ * @property {() => string} getSqlEngine - Returns the SQL engine in use.
+ * @property {(tableName: string) => PuddySqlQuery} getTable - Returns an initialized table.
+ * @property {PuddySqlEngine['getLogger']} getLogger - Returns the logger in use.
+ * @property {PuddySqlEngine['log']} log - Sends a structured record to the logger.
+ */
+
+/**
+ * @callback TransactionCallback
+ * @param {PuddySqlTransaction} tx - The transaction scope.
+ * @returns {any|Promise<any>}
+ */
+
+/**
+ * PuddySqlTransaction represents a single transaction scope.
+ *
+ * All queries executed through it (directly or through the tables returned by `getTable()`)
+ * are sent to the same connection. Nested calls to `transaction()` are turned into SAVEPOINTs.
+ */
+class PuddySqlTransaction extends PuddySqlEngine {
+  /** @type {TransactionOwner} */
+  #instance;
+
+  /** @type {TransactionClient} */
+  #client;
+
+  /** @type {PuddySqlTransaction|null} */
+  #parent;
+
+  /** @type {number} */
+  #depth;
+
+  #savepointCount = 0;
+  #active = false;
+  #finished = false;
+
+  /**
+   * Error thrown by the ROLLBACK of this scope, if it failed.
+   * @type {Error|null}
+   */
+  #rollbackError = null;
+
+  /** @type {Record<string, PuddySqlQuery>} */
+  #tables = {};
+
+  /**
+   * Tables used by the finished nested scopes.
+   * @type {PuddySqlQuery[]}
+   */
+  #childTables = [];
+
+  /**
+   * @param {TransactionOwner} instance - The instance that owns this transaction.
+   * @param {TransactionClient} client - Connection used to execute the queries.
+   * @param {PuddySqlTransaction|null} [parent=null] - Parent transaction when this scope is a SAVEPOINT.
+   */
+  constructor(instance, client, parent = null) {
+    super();
+    if (typeof instance !== 'object' || instance === null)
+      throw new TypeError('instance must be a PuddySql instance');
+    if (typeof client !== 'object' || client === null)
+      throw new TypeError('client must be a valid transaction client');
+    if (parent !== null && !(parent instanceof PuddySqlTransaction))
+      throw new TypeError('parent must be a PuddySqlTransaction or null');
+
+    this.#instance = instance;
+    this.#client = client;
+    this.#parent = parent;
+    this.#depth = parent ? parent.getDepth() + 1 : 0;
+    this.setSqlEngine(instance.getSqlEngine());
+
+    /**
+     * Executes a query to get all rows using the transaction connection.
+     *
+     * @param {string} query - The SQL query to execute.
+     * @param {any[*]} [params] - The parameters to bind to the query.
+     * @param {string} [debugName] - Optional label or context name for the debug log.
+     * @param {QueryOptions} [options] - Options of this call.
+     * @returns {Promise<any[*]>}
+     */
+    this.all = async (query, params, debugName = '', options = {}) => {
+      this.#checkActive('all');
+      return this.#client.all(query, params, debugName, options);
+    };
+
+    /**
+     * Executes a query to get a single row using the transaction connection.
+     *
+     * @param {string} query - The SQL query to execute.
+     * @param {any[*]} [params] - The parameters to bind to the query.
+     * @param {string} [debugName] - Optional label or context name for the debug log.
+     * @param {QueryOptions} [options] - Options of this call.
+     * @returns {Promise<Record<any, any>|null>}
+     */
+    this.get = async (query, params, debugName = '', options = {}) => {
+      this.#checkActive('get');
+      return this.#client.get(query, params, debugName, options);
+    };
+
+    /**
+     * Executes a statement that modifies the database using the transaction connection.
+     *
+     * @param {string} query - The SQL query to execute.
+     * @param {any[*]} params - The parameters to bind to the query.
+     * @param {string} [debugName] - Optional label or context name for the debug log.
+     * @param {QueryOptions} [options] - Options of this call.
+     * @returns {Promise<Record<any, any>|null>}
+     */
+    this.run = async (query, params, debugName = '', options = {}) => {
+      this.#checkActive('run');
+      return this.#client.run(query, params, debugName, options);
+    };
+  }
+
+  /**
+   * Throws if the transaction is not running anymore.
+   *
+   * @param {string} method - Method name that was called.
+   * @throws {Error} If the transaction has already finished or has not started yet.
+   */
+  #checkActive(method) {
+    if (!this.#active)
+      throw new Error(
+        `[PuddySql] Cannot use '${method}' on a transaction that is ${this.#finished ? 'already finished' : 'not started'}.`,
+      );
+  }
+
+  /**
+   * Returns the instance that owns this transaction.
+   *
+   * @returns {TransactionOwner}
+   */
+  getInstance() {
+    return this.#instance;
+  }
+
+  /**
+   * Returns the logger of the instance that owns this transaction.
+   *
+   * @returns {Logger}
+   */
+  getLogger() {
+    return this.#instance.getLogger();
+  }
+
+  /**
+   * Sends a structured record to the logger of the instance that owns this transaction.
+   *
+   * @param {LogLevel} level - The record level.
+   * @param {string} message - Short description of the record.
+   * @param {Record<string, any>} [data={}] - Structured fields of the record.
+   */
+  log(level, message, data = {}) {
+    this.#instance.log(level, message, data);
+  }
+
+  /**
+   * Returns the parent transaction, or `null` if this is the top-level transaction.
+   *
+   * @returns {PuddySqlTransaction|null}
+   */
+  getParent() {
+    return this.#parent;
+  }
+
+  /**
+   * Returns the nesting depth of this scope (`0` for the top-level transaction).
+   *
+   * @returns {number}
+   */
+  getDepth() {
+    return this.#depth;
+  }
+
+  /**
+   * Checks whether the transaction is currently running.
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.#active;
+  }
+
+  /**
+   * Checks whether the transaction was already committed or rolled back.
+   *
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.#finished;
+  }
+
+  /**
+   * Returns the error thrown by the ROLLBACK (or ROLLBACK TO SAVEPOINT) of this scope,
+   * or `null` if it was not rolled back or the rollback succeeded.
+   *
+   * @returns {Error|null}
+   */
+  getRollbackError() {
+    return this.#rollbackError;
+  }
+
+  /**
+   * Retrieves a table bound to this transaction.
+   *
+   * The returned `PuddySqlQuery` shares the settings and schema of the table created by
+   * `initTable()`, but executes every query through the transaction connection.
+   *
+   * @param {string} tableName - The name of the table to retrieve.
+   * @returns {PuddySqlQuery} The transaction-bound table.
+   * @throws {Error} If the table does not exist.
+   */
+  getTable(tableName) {
+    if (typeof tableName !== 'string' || tableName.trim() === '')
+      throw new TypeError('tableName must be a non-empty string');
+    if (!this.#tables[tableName])
+      this.#tables[tableName] = this.#instance.getTable(tableName).cloneWithDb(this);
+    return this.#tables[tableName];
+  }
+
+  /**
+   * Runs the callback inside this scope.
+   *
+   * The top-level scope opens a transaction with `BEGIN` and finishes it with `COMMIT`,
+   * while nested scopes use `SAVEPOINT` and `RELEASE SAVEPOINT`.
+   * If the callback throws, the scope is rolled back and the error is rethrown.
+   * A failed rollback is sent to the logger and kept in `getRollbackError()`.
+   *
+   * @param {TransactionCallback} callback - Function that receives this transaction.
+   * @returns {Promise<any>} Resolves with the value returned by the callback.
+   * @throws {Error} If the scope was already executed or the callback fails.
+   */
+  async execute(callback) {
+    if (typeof callback !== 'function') throw new TypeError('callback must be a function');
+    if (this.#active || this.#finished)
+      throw new Error('This transaction scope has already been executed.');
+
+    const savepoint = this.#parent ? this.#parent.#nextSavepoint() : null;
+    const client = this.#client;
+
+    await client.run(
+      savepoint ? `SAVEPOINT ${savepoint}` : 'BEGIN',
+      [],
+      savepoint ? 'transaction - SAVEPOINT' : 'transaction - BEGIN',
+    );
+    this.#active = true;
+
+    try {
+      const result = await callback(this);
+      this.#active = false;
+      await client.run(
+        savepoint ? `RELEASE SAVEPOINT ${savepoint}` : 'COMMIT',
+        [],
+        savepoint ? 'transaction - RELEASE' : 'transaction - COMMIT',
+      );
+      return result;
+    } catch (err) {
+      this.#active = false;
+      await client
+        .run(
+          savepoint ? `ROLLBACK TO SAVEPOINT ${savepoint}` : 'ROLLBACK',
+          [],
+          'transaction - ROLLBACK',
+        )
+        .catch((rollbackErr) => {
+          this.#rollbackError =
+            rollbackErr instanceof Error ? rollbackErr : new Error(String(rollbackErr));
+          this.log('error', 'Could not roll back the transaction', {
+            savepoint,
+            error: rollbackErr,
+            cause: err,
+          });
+        });
+      throw err;
+    } finally {
+      this.#finished = true;
+      this.#clearTableCaches();
+    }
+  }
+
+  /**
+   * Clears the result cache of the tables used by this scope (and its nested scopes)
+   * when the top-level transaction is finished, since reads made outside the transaction
+   * may have cached the rows it was changing.
+   */
+  #clearTableCaches() {
+    const tables = [...Object.values(this.#tables), ...this.#childTables];
+    if (this.#parent) this.#parent.#childTables.push(...tables);
+    else for (const table of tables) table.clearCache();
+  }
+
+  /**
+   * Generates a unique savepoint name for a child scope.
+   *
+   * @returns {string}
+   */
+  #nextSavepoint() {
+    this.#savepointCount++;
+    return `puddysql_sp_${this.#depth}_${this.#savepointCount}`;
+  }
+
+  /**
+   * Runs a nested transaction using a SAVEPOINT.
+   *
+   * If the callback throws, only the changes made inside the nested scope are rolled back,
+   * and the error is rethrown to the parent scope.
+   *
+   * @param {TransactionCallback} callback - Function that receives the nested transaction.
+   * @returns {Promise<any>} Resolves with the value returned by the callback.
+   * @throws {Error} If this transaction is not running.
+   */
+  async transaction(callback) {
+    this.#checkActive('transaction');
+    const child = new PuddySqlTransaction(this.#instance, this.#client, this);
+    return child.execute(callback);
+  }
+}
+
+export default PuddySqlTransaction;
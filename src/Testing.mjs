@@ -0,0 +1,318 @@
+import { AssertionError } from 'assert';
+import { isDeepStrictEqual } from 'util';
+import { validatePostgresParams } from './Utils.mjs';
+import PuddySqlEngine from './PuddySqlEngine.mjs';
+
+/** @typedef {import('./Loggers.mjs').Logger} Logger */
+/** @typedef {import('./Loggers.mjs').LogLevel} LogLevel */
+
+/**
+ * A query received by the mock engine.
+ *
+ * @typedef {Object} MockCall
+ * @property {'all'|'get'|'run'} method - The engine method that was called.
+ * @property {string} query - The SQL query.
+ * @property {any[]} params - The query parameters.
+ * @property {string} debugName - The debug label sent by the caller (e.g. `'set'`, `'search'`).
+ */
+
+/**
+ * Selects calls or responses.
+ * - `RegExp`: tested against the query.
+ * - `string`: compared with the debugName.
+ * - `function`: receives the call and returns `true` when it matches.
+ *
+ * @typedef {RegExp|string|((call: MockCall) => boolean)} MockMatcher
+ */
+
+/**
+ * Scripted response. Functions receive the call and return the value to resolve with.
+ * `Error` instances (returned or given directly) make the query reject.
+ *
+ * @typedef {any|((call: MockCall) => any)} MockResponse
+ */
+
+/**
+ * @typedef {Object} MockResponseOptions
+ * @property {'all'|'get'|'run'} [method] - Only answer calls of this method.
+ * @property {boolean} [once=false] - Remove the response after its first use.
+ */
+
+/**
+ * @typedef {Object} MockExpectOptions
+ * @property {'all'|'get'|'run'} [method] - Only count calls of this method.
+ * @property {any[]} [params] - Expected parameters (compared with `util.isDeepStrictEqual()`).
+ * @property {number} [times] - Exact number of matching calls. By default at least one is required.
+ */
+
+/**
+ * Engine that does not touch any database. It records every query sent to `all`/`get`/`run`
+ * and answers with scripted responses, so code using `PuddySqlQuery` can be unit-tested.
+ *
+ * Placeholders are validated like on the real engines, and the SQL dialect and result format
+ * follow the engine given in the constructor (`sqlite3` by default).
+ *
+ * @example
+ * const mock = new PuddySql.Testing.MockEngine();
+ * const posts = new PuddySql.Query();
+ * posts.setDb({ name: 'posts', id: 'id' }, mock);
+ *
+ * mock.when('get', { id: '1', title: 'Pudding' });
+ * await posts.get('1');
+ * mock.expectQuery(/SELECT \* FROM posts/, { method: 'get', params: ['1'] });
+ */
+export class MockEngine extends PuddySqlEngine {
+  /** @type {MockCall[]} */
+  #calls = [];
+
+  /** @type {{ matcher: MockMatcher, response: MockResponse, method?: string, once: boolean }[]} */
+  #responses = [];
+
+  /** @type {PuddySqlEngine|null} */
+  #owner = null;
+
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.engine='sqlite3'] - Registered engine whose dialect and result format are used.
+   * @param {PuddySqlEngine|null} [options.owner=null] - Engine whose logger receives the records of this mock
+   *   (e.g. the instance used by the application). By default the mock uses its own logger.
+   */
+  constructor({ engine = 'sqlite3', owner = null } = {}) {
+    super();
+    PuddySqlEngine.getEngine(engine);
+    if (owner !== null && !(owner instanceof PuddySqlEngine))
+      throw new TypeError('owner must be a PuddySqlEngine or null');
+    this.setSqlEngine(engine);
+    this.#owner = owner;
+
+    /**
+     * Records a query expected to return multiple rows.
+     *
+     * @param {string} query - The SQL query.
+     * @param {any[]} [params=[]] - The query parameters.
+     * @param {string} [debugName=''] - Optional label of the caller.
+     * @returns {Promise<any>}
+     */
+    this.all = (query, params = [], debugName = '') =>
+      this.#execute('all', query, params, debugName);
+
+    /**
+     * Records a query expected to return a single row.
+     *
+     * @param {string} query - The SQL query.
+     * @param {any[]} [params=[]] - The query parameters.
+     * @param {string} [debugName=''] - Optional label of the caller.
+     * @returns {Promise<any>}
+     */
+    this.get = (query, params = [], debugName = '') =>
+      this.#execute('get', query, params, debugName);
+
+    /**
+     * Records a statement that modifies the database.
+     *
+     * @param {string} query - The SQL query.
+     * @param {any[]} [params=[]] - The query parameters.
+     * @param {string} [debugName=''] - Optional label of the caller.
+     * @returns {Promise<any>}
+     */
+    this.run = (query, params = [], debugName = '') =>
+      this.#execute('run', query, params, debugName);
+  }
+
+  /**
+   * Returns the logger of the owner, or the logger of this mock when it has no owner.
+   *
+   * @returns {Logger}
+   */
+  getLogger() {
+    return this.#owner ? this.#owner.getLogger() : super.getLogger();
+  }
+
+  /**
+   * Sends a structured record to the logger of the owner, or to the logger of this mock when it has no owner.
+   *
+   * @param {LogLevel} level - The record level.
+   * @param {string} message - Short description of the record.
+   * @param {Record<string, any>} [data={}] - Structured fields of the record.
+   */
+  log(level, message, data = {}) {
+    if (this.#owner) this.#owner.log(level, message, data);
+    else super.log(level, message, data);
+  }
+
+  /**
+   * Checks whether a call matches a matcher.
+   *
+   * @param {MockMatcher} matcher
+   * @param {MockCall} call
+   * @returns {boolean}
+   */
+  #matches(matcher, call) {
+    if (matcher instanceof RegExp) {
+      matcher.lastIndex = 0;
+      return matcher.test(call.query);
+    }
+    if (typeof matcher === 'string') return call.debugName === matcher;
+    return matcher(call) === true;
+  }
+
+  /**
+   * Validates the matcher type.
+   *
+   * @param {MockMatcher} matcher
+   */
+  #checkMatcher(matcher) {
+    if (
+      !(matcher instanceof RegExp) &&
+      typeof matcher !== 'string' &&
+      typeof matcher !== 'function'
+    )
+      throw new TypeError('matcher must be a RegExp, a debugName string or a function');
+  }
+
+  /**
+   * Returns the default response when nothing was scripted.
+   *
+   * @param {'all'|'get'|'run'} method
+   * @returns {any}
+   */
+  #defaultResponse(method) {
+    if (method === 'all') return [];
+    if (method === 'get') return null;
+    return { [this.getEngineAdapter().resultCountKey]: 0 };
+  }
+
+  /**
+   * Records a call and resolves it with the first matching response.
+   *
+   * @param {'all'|'get'|'run'} method
+   * @param {string} query
+   * @param {any[]} params
+   * @param {string} debugName
+   * @returns {Promise<any>}
+   */
+  async #execute(method, query, params, debugName) {
+    validatePostgresParams(query, params);
+
+    /** @type {MockCall} */
+    const call = { method, query, params: [...params], debugName };
+    this.#calls.push(call);
+
+    const index = this.#responses.findIndex(
+      (item) =>
+        (typeof item.method !== 'string' || item.method === method) &&
+        this.#matches(item.matcher, call),
+    );
+    if (index < 0) return this.#defaultResponse(method);
+
+    const item = this.#responses[index];
+    if (item.once) this.#responses.splice(index, 1);
+    const result = typeof item.response === 'function' ? item.response(call) : item.response;
+    if (result instanceof Error) throw result;
+    return result;
+  }
+
+  /**
+   * Scripts a response for the queries that match.
+   *
+   * Responses are checked in the order they were added, and the first match is used.
+   * Without a match, `all` resolves `[]`, `get` resolves `null` and `run` resolves a result with 0 changes.
+   *
+   * @param {MockMatcher} matcher - Query pattern, debugName or custom function.
+   * @param {MockResponse} response - Value to resolve with, a function creating it, or an `Error` to reject with.
+   * @param {MockResponseOptions} [options={}]
+   * @returns {this}
+   */
+  when(matcher, response, { method, once = false } = {}) {
+    this.#checkMatcher(matcher);
+    if (typeof method !== 'undefined' && !['all', 'get', 'run'].includes(method))
+      throw new TypeError(`method must be 'all', 'get' or 'run'. Got: ${method}`);
+    if (typeof once !== 'boolean') throw new TypeError('once must be a boolean');
+    this.#responses.push({ matcher, response, method, once });
+    return this;
+  }
+
+  /**
+   * Returns the recorded calls, optionally filtered.
+   *
+   * @param {MockMatcher} [matcher] - Only return the calls that match.
+   * @returns {MockCall[]}
+   */
+  getCalls(matcher) {
+    if (typeof matcher === 'undefined') return [...this.#calls];
+    this.#checkMatcher(matcher);
+    return this.#calls.filter((call) => this.#matches(matcher, call));
+  }
+
+  /**
+   * Returns the last recorded call, or `null` if nothing was called.
+   *
+   * @returns {MockCall|null}
+   */
+  getLastCall() {
+    return this.#calls.length > 0 ? this.#calls[this.#calls.length - 1] : null;
+  }
+
+  /**
+   * Asserts that queries matching the given pattern were executed.
+   *
+   * @param {MockMatcher} matcher - Query pattern, debugName or custom function.
+   * @param {MockExpectOptions} [options={}]
+   * @returns {MockCall} The first matching call.
+   * @throws {AssertionError} If the expectation is not met.
+   */
+  expectQuery(matcher, { method, params, times } = {}) {
+    let calls = this.getCalls(matcher);
+    if (typeof method === 'string') calls = calls.filter((call) => call.method === method);
+    if (Array.isArray(params))
+      calls = calls.filter((call) => isDeepStrictEqual(call.params, params));
+
+    const ok = typeof times === 'number' ? calls.length === times : calls.length > 0;
+    if (!ok)
+      throw new AssertionError({
+        message:
+          `Expected ${typeof times === 'number' ? `${times} call(s)` : 'a call'} matching ${String(matcher)}` +
+          `${method ? ` (${method})` : ''}${params ? ` with params ${JSON.stringify(params)}` : ''}, ` +
+          `but got ${calls.length}. Recorded queries:\n` +
+          this.#calls
+            .map((call) => `  [${call.method}] ${call.debugName}: ${call.query}`)
+            .join('\n'),
+        actual: calls.length,
+        expected: times ?? 1,
+        operator: 'expectQuery',
+      });
+    return calls[0];
+  }
+
+  /**
+   * Asserts that no query matching the given pattern was executed.
+   *
+   * @param {MockMatcher} matcher - Query pattern, debugName or custom function.
+   * @throws {AssertionError} If a matching query was executed.
+   */
+  expectNoQuery(matcher) {
+    const calls = this.getCalls(matcher);
+    if (calls.length > 0)
+      throw new AssertionError({
+        message: `Expected no call matching ${String(matcher)}, but got ${calls.length}: ${calls[0].query}`,
+        actual: calls.length,
+        expected: 0,
+        operator: 'expectNoQuery',
+      });
+  }
+
+  /**
+   * Removes the recorded calls, keeping the scripted responses.
+   */
+  clearCalls() {
+    this.#calls = [];
+  }
+
+  /**
+   * Removes the recorded calls and the scripted responses.
+   */
+  reset() {
+    this.#calls = [];
+    this.#responses = [];
+  }
+}
@@ -70,3 +70,14 @@ export function validatePostgresParams(query, params, errCallback) {
 
   return true;
 }
+
+/**
+ * Escapes the characters of a string that have a special meaning in regular expressions,
+ * so it can be matched literally (e.g. a table name inside a SQL query).
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
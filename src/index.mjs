@@ -1,16 +1,32 @@
 import { pg, sqlite3 } from './Modules.mjs';
 import * as Utils from './Utils.mjs';
+import * as Adapters from './Adapters.mjs';
+import * as Testing from './Testing.mjs';
+import * as Loggers from './Loggers.mjs';
+import * as Errors from './Errors.mjs';
+import * as Dialects from './Dialects.mjs';
 import PuddySqlEvents from './PuddySqlEvents.mjs';
 import PuddySqlInstance from './PuddySqlInstance.mjs';
 import PuddySqlQuery from './PuddySqlQuery.mjs';
 import PuddySqlTags from './PuddySqlTags.mjs';
+import PuddySqlTransaction from './PuddySqlTransaction.mjs';
+import PuddySqlMigrations from './PuddySqlMigrations.mjs';
+import PuddySqlCache from './PuddySqlCache.mjs';
 
 class PuddySql {
   static Instance = PuddySqlInstance;
   static Query = PuddySqlQuery;
   static Tags = PuddySqlTags;
+  static Transaction = PuddySqlTransaction;
+  static Migrations = PuddySqlMigrations;
+  static Cache = PuddySqlCache;
   static Events = PuddySqlEvents;
   static Utils = Utils;
+  static Adapters = Adapters;
+  static Testing = Testing;
+  static Loggers = Loggers;
+  static Errors = Errors;
+  static Dialects = Dialects;
   static pg = pg;
   static sqlite3 = sqlite3;
 
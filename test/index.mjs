@@ -4,6 +4,9 @@
 // ║         Powered by: PuddySQL Engine 🍮         ║
 // ╚═══════════════════════════════════════════════╝
 
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
 import stringify from 'safe-stable-stringify';
 import { ColorSafeStringify } from 'tiny-essentials';
 import PuddySql from '../dist/index.mjs';
@@ -15,9 +18,18 @@ const colorSafeStringify = (json, space = 0) =>
 // 🚀 Create SQL Engine Instance
 const db = new PuddySql.Instance();
 
+// Run with `--better-sqlite3` to use the better-sqlite3 engine
+const useBetterSqlite3 = process.argv.includes('--better-sqlite3');
+
 (async () => {
-  console.log('\n🔧 \x1b[1mInitializing SQLite3...\x1b[0m\n');
-  await db.initSqlite3();
+  console.log(
+    `\n🔧 \x1b[1mInitializing ${useBetterSqlite3 ? 'better-sqlite3' : 'SQLite3'}...\x1b[0m\n`,
+  );
+  if (useBetterSqlite3) await db.initBetterSqlite3();
+  else await db.initSqlite3();
+
+  // Placeholders inside quotes and comments are kept as text
+  console.log(await db.get(`SELECT 'why?' AS "what?", $1 AS value -- really?`, ['pudding']));
 
   const table = await db.initTable({ name: 'tinytest', id: 'id', order: 'id ASC' }, [
     ['id', 'TEXT', 'PRIMARY KEY'],
@@ -89,6 +101,40 @@ const db = new PuddySql.Instance();
   console.table(page2.items);
   console.table({ totalPages: page2.totalPages, totalItems: page2.totalItems });
 
+  console.log('\n📊 \x1b[32mPagination metadata by count mode (page 1)\x1b[0m\n');
+  await db.run('ANALYZE', []);
+  const countModePages = [];
+  for (const countMode of ['exact', 'none', 'estimate']) {
+    const { items, ...meta } = await table.search({ q: {}, perPage: 2, page: 1, countMode });
+    countModePages.push({ requested: countMode, items: items.length, ...meta });
+  }
+  // The statistics count the whole table, so a filtered search is counted exactly
+  const { items: filteredItems, ...filteredMeta } = await table.search({
+    q: { column: 'id', value: '1' },
+    perPage: 2,
+    countMode: 'estimate',
+  });
+  countModePages.push({
+    requested: 'estimate (filtered)',
+    items: filteredItems.length,
+    ...filteredMeta,
+  });
+  console.table(countModePages);
+
+  console.log('\n🧭 \x1b[32mCursor Search (yay DESC, 2 per page)\x1b[0m\n');
+  const cursorSearch = { q: {}, perPage: 2, order: 'yay DESC' };
+  const cursorPage1 = await table.search({ ...cursorSearch, cursor: null });
+  const cursorPage2 = await table.search({ ...cursorSearch, cursor: cursorPage1.nextCursor });
+  const cursorBack = await table.search({ ...cursorSearch, cursor: cursorPage2.prevCursor });
+  console.table(
+    [cursorPage1, cursorPage2, cursorBack].map((result, index) => ({
+      page: ['1', '2', '2 → prev'][index],
+      ids: result.items.map((item) => `${item.id} (${item.yay})`).join(', '),
+      hasNext: result.nextCursor !== null,
+      hasPrev: result.prevCursor !== null,
+    })),
+  );
+
   console.log('\n📌 \x1b[36mGetting first 3 records\x1b[0m\n');
   console.table(await table.getAmount(3));
 
@@ -99,6 +145,698 @@ const db = new PuddySql.Instance();
   console.log('\n🧾 \x1b[1mFinal Records:\x1b[0m\n');
   console.table(await table.getAll());
 
+  // 🔒 Transactions Test
+  console.log('\n🔒 \x1b[1mTransaction: commit + rolled back savepoint\x1b[0m\n');
+  await db.transaction(async (tx) => {
+    const txTable = tx.getTable('tinytest');
+    await txTable.set('6', { prompt: '🍰 cake', yay: true });
+    await tx
+      .transaction(async (sp) => {
+        await sp.getTable('tinytest').set('7', { prompt: '🍩 donut', yay: true });
+        throw new Error('Savepoint rollback');
+      })
+      .catch((err) => console.log(`\x1b[33m${err.message}\x1b[0m`));
+  });
+  console.table(await table.getAll());
+
+  console.log('\n🔒 \x1b[1mTransaction: full rollback\x1b[0m\n');
+  await db
+    .transaction(async (tx) => {
+      await tx.getTable('tinytest').delete('6');
+      throw new Error('Transaction rollback');
+    })
+    .catch((err) => console.log(`\x1b[33m${err.message}\x1b[0m`));
+  console.table(await table.getAll());
+
+  console.log('\n🔒 \x1b[1mTransaction: outside queries wait for the connection\x1b[0m\n');
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const [, outsideRead] = await Promise.all([
+    db
+      .transaction(async (tx) => {
+        await tx.getTable('tinytest').set('8', { prompt: '🧁 cupcake', yay: true });
+        await wait(20);
+        throw new Error('Transaction rollback');
+      })
+      .catch((err) => err.message),
+    wait(5).then(() => table.has('8')),
+  ]);
+  console.log(`Row 8 seen from outside the transaction: ${outsideRead}`);
+
+  console.log('\n🔒 \x1b[1mTransaction: db.transaction() inside the callback\x1b[0m\n');
+  const nestedResult = await Promise.race([
+    db.transaction(async (tx) => {
+      await tx.getTable('tinytest').set('9', { prompt: '🥧 pie', yay: true });
+      await db
+        .transaction(async (sp) => {
+          await sp.getTable('tinytest').set('10', { prompt: '🍪 cookie', yay: true });
+          throw new Error('Inner rollback');
+        })
+        .catch((err) => console.log(`\x1b[33m${err.message}\x1b[0m`));
+      return `rows 9/10: ${await table.has('9')}/${await table.has('10')}`;
+    }),
+    wait(1000).then(() => 'timed out'),
+  ]);
+  console.log(nestedResult);
+  await table.delete('9');
+
+  // 🧭 Migrations Test
+  console.log('\n🧭 \x1b[1mMigrations: migrate to latest, then rollback\x1b[0m\n');
+  db.addMigration({
+    version: 1,
+    name: 'create migrated_posts',
+    up: (tx) => tx.run('CREATE TABLE migrated_posts (id TEXT PRIMARY KEY, title TEXT)', []),
+    down: (tx) => tx.run('DROP TABLE migrated_posts', []),
+  });
+  db.addMigration({
+    version: 2,
+    name: 'add migrated_posts.rating',
+    table: 'migrated_posts',
+    up: [['ADD', 'rating', 'TEXT']],
+    down: (tx) => tx.run('ALTER TABLE migrated_posts DROP COLUMN rating', []),
+  });
+  console.log(`\x1b[33mVersion after migrateTo(): ${await db.migrateTo()}\x1b[0m`);
+  console.table(await db.all('PRAGMA table_info(migrated_posts)'));
+  console.log(`\x1b[33mVersion after rollback(): ${await db.rollback()}\x1b[0m`);
+  console.table(await db.all('PRAGMA table_info(migrated_posts)'));
+  const txVersion = await db.transaction(() => db.migrateTo());
+  console.log(`\x1b[33mVersion after migrateTo() inside a transaction: ${txVersion}\x1b[0m`);
+  console.log(`\x1b[33mVersion after rollback(): ${await db.rollback()}\x1b[0m`);
+
+  // 🧷 Attach Test
+  console.log('\n🧷 \x1b[1mAttach existing table: migrated_posts\x1b[0m\n');
+  await db.run('ALTER TABLE migrated_posts ADD COLUMN views INTEGER DEFAULT 0', []);
+  const attachedTable = await db.attachTable({ name: 'migrated_posts', id: 'id' });
+  await attachedTable.set('m1', { title: 'Legacy post', views: '42' });
+  console.log(colorSafeStringify(await attachedTable.get('m1')));
+
+  // 🔁 Schema Sync Test
+  console.log('\n🔁 \x1b[1mAuto sync: drift_posts\x1b[0m\n');
+  db.on(PuddySql.Events.SchemaDrift, ({ table, changes, dryRun }) =>
+    console.log(`\x1b[33mSchema drift in ${table} (dryRun: ${dryRun})\x1b[0m`, changes),
+  );
+  await db.run('CREATE TABLE drift_posts (id TEXT PRIMARY KEY, title TEXT, legacy TEXT)', []);
+  const driftTable = await db.initTable({ name: 'drift_posts', id: 'id', autoSync: true }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['title', 'TEXT'],
+    ['rating', 'INTEGER'],
+  ]);
+  console.log(colorSafeStringify(await driftTable.diffSchema([['id', 'TEXT', 'PRIMARY KEY']])));
+  console.table(await db.all('PRAGMA table_info(drift_posts)'));
+
+  // 🧱 Table Rebuild Test
+  console.log('\n🧱 \x1b[1mRebuild: drift_posts\x1b[0m\n');
+  await db.run('CREATE UNIQUE INDEX drift_posts_title ON drift_posts (title)', []);
+  await db.run('CREATE VIEW drift_titles AS SELECT title, rating FROM drift_posts', []);
+  await driftTable.set('p1', { title: 'Hello', rating: '5' });
+  await driftTable.updateTable([['MODIFY', 'rating', 'TEXT', "NOT NULL DEFAULT '0'"]], true);
+  console.table(await db.all('PRAGMA table_info(drift_posts)'));
+  console.table(await db.all('SELECT * FROM drift_titles'));
+  console.table(await db.all('PRAGMA index_list(drift_posts)'));
+  await driftTable.updateTable([['MODIFY', 'id', 'TEXT', 'NOT NULL']], true);
+  console.log(await db.all("SELECT name, pk FROM pragma_table_info('drift_posts') WHERE pk > 0"));
+  const checkedTable = await db.initTable({ name: 'checked_posts', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['rating', 'INTEGER', 'CHECK (rating >= 0)'],
+  ]);
+  await checkedTable
+    .updateTable([['MODIFY', 'rating', 'TEXT']], true)
+    .catch((err) => console.log(`${err.name}: ${err.message}`));
+
+  // 🔌 Custom Engine Test
+  console.log('\n🔌 \x1b[1mCustom engine: sqlite3-counted\x1b[0m\n');
+  let customQueries = 0;
+  const { sqlite3Adapter } = PuddySql.Adapters;
+  PuddySql.Instance.registerEngine('sqlite3-counted', {
+    ...sqlite3Adapter,
+    run: (conn, query, params) => {
+      customQueries++;
+      return sqlite3Adapter.run(conn, query, params);
+    },
+  });
+  const customDb = new PuddySql.Instance();
+  await customDb.initEngine('sqlite3-counted');
+  const customTable = await customDb.initTable({ name: 'counted', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['value', 'TEXT'],
+  ]);
+  await customTable.set('1', { value: 'pudding' });
+  console.log(PuddySql.Instance.getEngines(), customDb.getSqlDialect(), customQueries);
+  console.log(await customTable.get('1'));
+  await customDb.destroy();
+
+  // 🚨 Typed Errors Test
+  console.log('\n🚨 \x1b[1mTyped errors: error_authors / error_posts\x1b[0m\n');
+  const errorDb = new PuddySql.Instance();
+  await errorDb.initSqlite3(':memory:', { foreignKeys: true });
+  const errorAuthors = await errorDb.initTable({ name: 'error_authors', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['email', 'TEXT', 'NOT NULL UNIQUE'],
+    ['age', 'INTEGER', 'CONSTRAINT adult_age CHECK (age >= 18)'],
+  ]);
+  const errorPosts = await errorDb.initTable({ name: 'error_posts', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['author_id', 'TEXT', 'REFERENCES error_authors(id)'],
+  ]);
+  await errorAuthors.set('1', { email: 'pudding@example.com', age: 20 });
+
+  const typedErrors = [];
+  const catchTyped = (promise) =>
+    promise.catch((err) =>
+      typedErrors.push({
+        class: err.constructor.name,
+        puddy: err instanceof PuddySql.Errors.PuddySqlError,
+        table: err.table,
+        constraint: err.constraint,
+        column: err.column,
+        debugName: err.debugName,
+      }),
+    );
+  await catchTyped(errorAuthors.set('2', { email: 'pudding@example.com', age: 30 }));
+  await catchTyped(errorAuthors.set('3', { email: null, age: 30 }));
+  await catchTyped(errorAuthors.set('4', { email: 'cake@example.com', age: 5 }));
+  await catchTyped(errorPosts.set('1', { author_id: 'nobody' }));
+  await catchTyped(errorDb.all('SELEC * FROM error_posts', [], 'typo'));
+  console.table(typedErrors);
+
+  // Rebuilds with foreign keys on must run outside of a transaction
+  await errorDb
+    .transaction((tx) =>
+      tx.getTable('error_posts').updateTable([['MODIFY', 'author_id', 'TEXT']], true),
+    )
+    .catch((err) => console.log(`${err.name}: ${err.message}`));
+  await errorPosts.updateTable([['MODIFY', 'author_id', 'TEXT', "DEFAULT ''"]], true);
+  console.log(
+    await errorDb.all("SELECT name, dflt_value FROM pragma_table_info('error_posts')"),
+    await errorDb.all('SELECT foreign_keys FROM pragma_foreign_keys'),
+  );
+  await errorDb.run('CREATE TABLE synced_posts (id TEXT PRIMARY KEY, score TEXT)', []);
+  await errorDb.initTable({ name: 'synced_posts', id: 'id', autoSync: true }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['score', 'INTEGER'],
+  ]);
+  console.log(await errorDb.all("SELECT name, type FROM pragma_table_info('synced_posts')"));
+  errorDb.addMigration({
+    version: 1,
+    table: 'synced_posts',
+    up: [['MODIFY', 'score', 'TEXT']],
+  });
+  await errorDb.migrateTo().catch((err) => console.log(`${err.name}: ${err.message}`));
+  console.log(
+    `Version after the refused migration: ${await errorDb.getMigrations().getCurrentVersion()}`,
+  );
+  await errorDb.destroy();
+
+  // 🔁 Reconnect Test
+  console.log('\n🔁 \x1b[1mReconnect: sqlite3-flaky\x1b[0m\n');
+  let serverDown = false;
+  let failedPings = 0;
+  const connectionLost = () => Object.assign(new Error('Connection lost'), { code: 'ECONNRESET' });
+  PuddySql.Instance.registerEngine('sqlite3-flaky', {
+    ...sqlite3Adapter,
+    all: (conn, query, params) =>
+      serverDown ? Promise.reject(connectionLost()) : sqlite3Adapter.all(conn, query, params),
+    run: (conn, query, params) =>
+      serverDown ? Promise.reject(connectionLost()) : sqlite3Adapter.run(conn, query, params),
+    ping: async () => {
+      if (failedPings++ < 2) throw connectionLost();
+      serverDown = false;
+    },
+    isConnectionError: (err) => err.code === 'ECONNRESET',
+  });
+  const flakyDb = new PuddySql.Instance();
+  await flakyDb.initEngine('sqlite3-flaky');
+  flakyDb.setReconnectPolicy({ initialDelay: 10, maxQueue: 2 });
+  const reconnectLog = [];
+  flakyDb.on(PuddySql.Events.Reconnecting, ({ attempt, delay }) =>
+    reconnectLog.push({ event: 'Reconnecting', attempt, delay }),
+  );
+  flakyDb.on(PuddySql.Events.Reconnected, ({ attempts, queued }) =>
+    reconnectLog.push({ event: 'Reconnected', attempts, queued }),
+  );
+
+  serverDown = true;
+  const reconnectResults = await Promise.allSettled([
+    flakyDb.all('SELECT 1 AS value', []),
+    flakyDb.all('SELECT 2 AS value', []),
+    flakyDb.all('SELECT 3 AS value', []),
+  ]);
+  console.table(reconnectLog);
+  console.log(
+    reconnectResults.map((item) =>
+      item.status === 'fulfilled' ? item.value : `rejected: ${item.reason.message}`,
+    ),
+  );
+
+  // Writes are not replayed, since the server may have applied them already
+  serverDown = true;
+  failedPings = 0;
+  const writeResult = await flakyDb
+    .run('CREATE TABLE flaky_posts (id TEXT PRIMARY KEY)', [])
+    .catch((err) => `rejected: ${err.message}`);
+  console.log(writeResult, await flakyDb.all('SELECT 4 AS value', []));
+  await flakyDb.destroy();
+
+  // ⚙️ Pragmas Test
+  console.log('\n⚙️ \x1b[1mSQLite pragmas\x1b[0m\n');
+  const pragmaDir = mkdtempSync(path.join(tmpdir(), 'puddysql-'));
+  const pragmaFile = path.join(pragmaDir, 'pragmas.db');
+  const pragmaDb = new PuddySql.Instance();
+  await pragmaDb.initSqlite3(pragmaFile, {
+    journalMode: 'WAL',
+    busyTimeout: 5000,
+    foreignKeys: true,
+    synchronous: 'NORMAL',
+    cacheSize: -20000,
+  });
+  await pragmaDb.setPragma('user_version', 7);
+  const pragmaNames = ['journal_mode', 'busy_timeout', 'foreign_keys', 'synchronous', 'cache_size'];
+  const pragmaValues = {};
+  for (const name of pragmaNames) pragmaValues[name] = await pragmaDb.getPragma(name);
+  console.log(pragmaValues);
+  await pragmaDb.destroy();
+
+  // Journal mode and user_version are stored in the file
+  const readOnlyDb = new PuddySql.Instance();
+  await readOnlyDb.initSqlite3(pragmaFile, { readOnly: true });
+  console.log(
+    await readOnlyDb.getPragma('journal_mode'),
+    await readOnlyDb.getPragma('user_version'),
+  );
+  console.log(
+    await readOnlyDb
+      .run('CREATE TABLE nope (id TEXT)', [])
+      .then(() => 'writable')
+      .catch((err) => err.code),
+  );
+  await readOnlyDb.destroy();
+  rmSync(pragmaDir, { recursive: true, force: true });
+
+  // ♻️ Retry Test
+  console.log('\n♻️ \x1b[1mRetry: SQLITE_BUSY between two connections\x1b[0m\n');
+  const retryDir = mkdtempSync(path.join(tmpdir(), 'puddysql-'));
+  const retryFile = path.join(retryDir, 'retry.db');
+  const lockDb = new PuddySql.Instance();
+  const retryDb = new PuddySql.Instance();
+  // Fail at once instead of waiting for the lock
+  await lockDb.initSqlite3(retryFile, { busyTimeout: 0 });
+  await retryDb.initSqlite3(retryFile, { busyTimeout: 0 });
+  await lockDb.run('CREATE TABLE counters (id TEXT PRIMARY KEY, value INTEGER)', []);
+  retryDb.setRetryPolicy({ maxAttempts: 10, initialDelay: 20, retryOn: ['busy'] });
+  const retryLog = [];
+  retryDb.on(PuddySql.Events.QueryRetried, ({ attempt, errorClass }) =>
+    retryLog.push({ attempt, errorClass }),
+  );
+
+  await lockDb.run('BEGIN EXCLUSIVE', []);
+  setTimeout(() => lockDb.run('COMMIT', []), 50);
+  await retryDb.run("INSERT INTO counters VALUES ('pudding', 1)", []);
+  const noRetry = await retryDb
+    .run('BEGIN EXCLUSIVE', [])
+    .then(() => lockDb.run("INSERT INTO counters VALUES ('cake', 1)", [], '', { retry: false }))
+    .catch((err) => err.code);
+  await retryDb.run('ROLLBACK', []);
+
+  console.table(retryLog);
+  console.log(await retryDb.all('SELECT * FROM counters', []), noRetry);
+
+  // Statements of a transaction are not retried
+  const txRetries = retryLog.length;
+  await lockDb.run('BEGIN EXCLUSIVE', []);
+  const txNoRetry = await retryDb
+    .transaction((tx) => tx.run("INSERT INTO counters VALUES ('donut', 1)", []))
+    .catch((err) => err.code);
+  await lockDb.run('COMMIT', []);
+  console.log('Retries inside a transaction:', retryLog.length - txRetries, txNoRetry);
+  await lockDb.destroy();
+  await retryDb.destroy();
+  rmSync(retryDir, { recursive: true, force: true });
+
+  // 🎭 Mock Engine Test
+  console.log('\n🎭 \x1b[1mMock engine: posts\x1b[0m\n');
+  const mock = new PuddySql.Testing.MockEngine();
+  const mockPosts = new PuddySql.Query();
+  mockPosts.setDb({ name: 'posts', id: 'id' }, mock);
+  await mockPosts.createTable([
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['title', 'TEXT'],
+  ]);
+  mock.when('get', { id: '1', title: 'Mocked pudding' });
+  mock.when(/^UPDATE posts/, { changes: 1 }, { method: 'run' });
+  console.log(await mockPosts.get('1'));
+  console.log(await mockPosts.update('1', { title: 'Updated pudding' }));
+  mock.expectQuery(/^UPDATE posts/, { method: 'run', params: ['Updated pudding', '1'] });
+  mock.expectNoQuery(/^DELETE/);
+  console.table(mock.getCalls().map(({ method, debugName }) => ({ method, debugName })));
+
+  // 🗣️ Dialects Test
+  console.log('\n🗣️ \x1b[1mDialects: same boost and JSON helpers on sqlite3 and postgre\x1b[0m\n');
+  // The sqlite3 module has no regexp() function, so the SQLite side uses better-sqlite3
+  for (const engine of ['better-sqlite3', 'postgre']) {
+    const dialectMock = new PuddySql.Testing.MockEngine({ engine });
+    const dialectPosts = new PuddySql.Query();
+    dialectPosts.setDb({ name: 'posts', id: 'id' }, dialectMock);
+    await dialectPosts.search({
+      select: {
+        values: ['id', `${dialectPosts.getJsonCast('meta', 'stats.likes', 'INTEGER')} AS likes`],
+        boost: {
+          alias: 'rank',
+          value: [
+            { columns: ['tags'], array: true, value: ["pinkie's party", 'cute'], weight: 2 },
+            { columns: ['title'], operator: 'ILIKE', value: 'pudding', weight: 1 },
+          ],
+        },
+      },
+      q: { column: dialectPosts.getJsonExtract('meta', 'author'), value: 'Rarity' },
+    });
+    console.log(
+      `\x1b[33m${engine}:\x1b[0m ${dialectMock.getLastCall().query.replace(/\s+/g, ' ')}`,
+    );
+    console.log(`  FROM ${dialectPosts.getArrayExtract('meta', 'tags')}`);
+    const dialectWhere = dialectPosts.parseWhere(
+      { index: 1, values: [] },
+      {
+        group: 'AND',
+        conditions: [
+          { column: 'created_at', operator: 'JULIANDAY', newOp: '>=', value: 2460085.5 },
+          { column: 'code', operator: 'HEX', value: '1A3F' },
+          { column: 'name', operator: 'SOUNDEX', value: 'rainbow' },
+          { column: 'title', operator: 'ILIKE', value: 'pudding' },
+          { column: 'title', operator: '~', value: '^Pinkie' },
+        ],
+      },
+    );
+    console.log(`  WHERE ${dialectWhere}\n`);
+  }
+
+  // 🧮 Where Operators Test
+  console.log('\n🧮 \x1b[1mWhere operators: operator_posts\x1b[0m\n');
+  const operatorPolicy = {
+    filterable: ['title', 'likes'],
+    sortable: ['likes'],
+    operators: { title: ['ILIKE', '='] },
+    maxDepth: 2,
+  };
+  const operatorPosts = await db.initTable(
+    { name: 'operator_posts', id: 'id', filterPolicy: operatorPolicy },
+    [
+      ['id', 'TEXT', 'PRIMARY KEY'],
+      ['title', 'TEXT'],
+      ['likes', 'INTEGER'],
+      ['deleted_at', 'TEXT'],
+    ],
+  );
+  await operatorPosts.set('1', { title: 'Pinkie Pie Party', likes: 12, deleted_at: null });
+  await operatorPosts.set('2', { title: 'Rarity Fashion', likes: 40, deleted_at: null });
+  await operatorPosts.set('3', { title: 'Twilight Books', likes: 7, deleted_at: '2025-04-15' });
+  const operatorFilters = {
+    'IN (nested)': {
+      group: 'AND',
+      conditions: [{ column: 'id', operator: 'IN', value: ['1', '3'] }],
+    },
+    'NOT IN (flat)': { id: { operator: 'not in', value: ['1', '3'] } },
+    BETWEEN: { column: 'likes', operator: 'BETWEEN', value: [10, 40] },
+    'IS NULL': { column: 'deleted_at', operator: 'IS NULL' },
+    'IS NOT NULL (flat)': { deleted_at: { operator: 'IS NOT NULL' } },
+    ILIKE: { column: 'title', operator: 'ILIKE', value: 'PARTY' },
+  };
+  const operatorResults = [];
+  for (const [name, q] of Object.entries(operatorFilters)) {
+    const pCache = { index: 1, values: [] };
+    const items = await operatorPosts.search({ q, order: 'id ASC' });
+    operatorResults.push({
+      name,
+      where: operatorPosts.parseWhere(pCache, q),
+      values: JSON.stringify(pCache.values),
+      ids: items.map((item) => item.id).join(', '),
+    });
+  }
+  console.table(operatorResults);
+  const regexpResult = await operatorPosts
+    .search({ q: { column: 'title', operator: 'REGEXP', value: '^R' } })
+    .then((items) => items.map((item) => item.id).join(', '))
+    .catch((err) => `${err.name}: ${err.message}`);
+  console.log(`REGEXP: ${regexpResult}`);
+
+  // 🧭 Structured Order Test
+  console.log('\n🧭 \x1b[1mStructured order: operator_posts\x1b[0m\n');
+  const structuredOrder = [
+    { column: 'deleted_at', direction: 'desc', nulls: 'last' },
+    { column: 'title', collate: 'NOCASE' },
+  ];
+  console.log(operatorPosts.searchQuery({ order: structuredOrder, perPage: 2 }).query);
+  const orderedPage = await operatorPosts.search({ order: structuredOrder, perPage: 2 });
+  console.log(orderedPage.items.map((item) => item.id).join(', '));
+  try {
+    operatorPosts.searchQuery({ order: [{ column: 'title; DROP TABLE operator_posts' }] });
+  } catch (err) {
+    console.log(`${err.name}: ${err.message}`);
+  }
+  const joinedPosts = new PuddySql.Query();
+  joinedPosts.setDb(
+    { name: 'posts', id: 'id', join: 'users', joinCompare: 't.user_id = j.id' },
+    new PuddySql.Testing.MockEngine(),
+  );
+  console.log(
+    joinedPosts.searchQuery({ order: [{ column: 'j.name' }] }).query.match(/ORDER BY .*/)?.[0],
+  );
+  try {
+    // The custom join replaces the settings join, so "j" is not available anymore
+    joinedPosts.searchQuery({
+      join: { table: 'tags', compare: 't.tag_id = j1.id' },
+      order: [{ column: 'j.name' }],
+    });
+  } catch (err) {
+    console.log(`${err.name}: ${err.message}`);
+  }
+
+  // 🧭 Cursor over a nullable column: every row must show up, forward and back
+  const nullableOrders = {
+    deleted_at: 'deleted_at',
+    'deleted_at DESC': 'deleted_at DESC',
+    'nulls first': [{ column: 'deleted_at', nulls: 'first' }],
+    'desc, nulls last': [{ column: 'deleted_at', direction: 'desc', nulls: 'last' }],
+  };
+  const nullableWalks = [];
+  for (const [label, order] of Object.entries(nullableOrders)) {
+    const pages = [await operatorPosts.search({ order, perPage: 1, cursor: null })];
+    while (pages.at(-1).nextCursor)
+      pages.push(
+        await operatorPosts.search({ order, perPage: 1, cursor: pages.at(-1).nextCursor }),
+      );
+    const back = [pages.at(-1)];
+    while (back.at(-1).prevCursor)
+      back.push(await operatorPosts.search({ order, perPage: 1, cursor: back.at(-1).prevCursor }));
+    const ids = (list) => list.map((page) => page.items.map((item) => item.id).join('')).join(', ');
+    nullableWalks.push({ order: label, forward: ids(pages), backward: ids(back) });
+  }
+  console.table(nullableWalks);
+
+  // 🛡️ Filter Policy Test
+  console.log('\n🛡️ \x1b[1mFilter policy: operator_posts\x1b[0m\n');
+  const policySearches = {
+    allowed: { q: { title: { operator: 'ilike', value: 'party' } }, order: 'likes DESC' },
+    'structured order': { order: [{ column: 'likes', direction: 'desc' }] },
+    'not filterable': { q: { column: 'deleted_at', operator: 'IS NULL' } },
+    'operator not allowed': { q: { column: 'title', operator: 'LIKE', value: 'x' } },
+    'raw newOp': { q: { column: 'likes', newOp: '> 0 OR 1 =', value: 1 } },
+    'not sortable': { order: 'title; DROP TABLE operator_posts' },
+    'raw join': { join: 'users u ON 1 = 1' },
+    'too deep': {
+      q: { conditions: [{ conditions: [{ conditions: [{ column: 'likes', value: 1 }] }] }] },
+    },
+  };
+  const policyResults = [];
+  for (const [name, searchData] of Object.entries(policySearches)) {
+    try {
+      const items = await operatorPosts.search(searchData, { policy: true });
+      policyResults.push({ name, result: `ids: ${items.map((item) => item.id).join(', ')}` });
+    } catch (err) {
+      policyResults.push({ name, result: `${err.name}: ${err.message}` });
+    }
+  }
+  console.table(policyResults);
+  await db.dropTable('operator_posts');
+
+  // 📡 Query Events Test
+  console.log('\n📡 \x1b[1mQuery events: event_posts\x1b[0m\n');
+  const eventLog = [];
+  const logEvent = (name) => (payload) =>
+    eventLog.push({ event: name, debugName: payload.debugName ?? '', table: payload.table ?? '' });
+  const eventNames = ['QueryEnd', 'QueryError', 'SlowQuery', 'TableCreated', 'TableDropped'];
+  const eventListeners = eventNames.map((name) => [PuddySql.Events[name], logEvent(name)]);
+  for (const [event, listener] of eventListeners) db.on(event, listener);
+  db.setSlowQueryThreshold(0);
+
+  const eventTable = await db.initTable({ name: 'event_posts', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['title', 'TEXT'],
+  ]);
+  await eventTable.set('1', { title: 'Observed pudding' });
+  await db.run('SELECT * FROM missing_table', []).catch(() => {});
+  await db.dropTable('event_posts');
+
+  db.setSlowQueryThreshold(1000);
+  for (const [event, listener] of eventListeners) db.off(event, listener);
+  console.table(eventLog);
+
+  // 🧅 Middleware Test
+  console.log('\n🧅 \x1b[1mMiddlewares: tenant_posts\x1b[0m\n');
+  const audit = [];
+  const tenantTable = await db.initTable({ name: 'tenant_posts', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['tenant', 'TEXT'],
+    ['title', 'TEXT'],
+  ]);
+  await tenantTable.set('1', { tenant: 'cake', title: 'Cake post' });
+  await tenantTable.set('2', { tenant: 'pudding', title: 'Pudding post' });
+
+  const removeAudit = db.use(async (ctx, next) => {
+    const start = performance.now();
+    await next();
+    audit.push({
+      table: ctx.table,
+      method: ctx.method,
+      debugName: ctx.debugName,
+      ms: (performance.now() - start).toFixed(2),
+    });
+  });
+  // Tenant scoping by query rewriting
+  const removeTenant = db.use(async (ctx, next) => {
+    if (ctx.table === 'tenant_posts' && ctx.debugName === 'getAll') {
+      ctx.query = `SELECT * FROM (${ctx.query}) WHERE tenant = $${ctx.params.length + 1}`;
+      ctx.params = [...ctx.params, 'pudding'];
+    }
+    await next();
+  });
+  // Cache without touching the database
+  const removeCache = db.use(async (ctx, next) => {
+    if (ctx.query === 'SELECT 1 AS cached') ctx.result = [{ cached: 'from middleware' }];
+    else await next();
+  });
+
+  console.log(await tenantTable.getAll());
+  console.log(await db.all('SELECT 1 AS cached', []));
+  removeAudit();
+  removeTenant();
+  removeCache();
+  await db.dropTable('tenant_posts');
+  console.table(audit);
+
+  // 🗄️ Cache Test
+  console.log('\n🗄️ \x1b[1mResult cache: cached_posts\x1b[0m\n');
+  let cacheQueries = 0;
+  const removeCounter = db.use(async (ctx, next) => {
+    if (ctx.table === 'cached_posts' && ctx.method !== 'run') cacheQueries++;
+    await next();
+  });
+  const cachedTable = await db.initTable(
+    { name: 'cached_posts', id: 'id', cache: { ttl: 60000, maxSize: 2 } },
+    [
+      ['id', 'TEXT', 'PRIMARY KEY'],
+      ['title', 'TEXT'],
+    ],
+  );
+  await cachedTable.set('1', { title: 'Cached pudding' });
+  await cachedTable.set('2', { title: 'Cached cake' });
+
+  const cachedRow = await cachedTable.get('1');
+  cachedRow.title = 'Changed by the caller';
+  console.log(await cachedTable.get('1'));
+  await Promise.all([cachedTable.getAll(), cachedTable.getAll()]);
+  await cachedTable.search({ q: { title: { value: 'pudding', operator: 'LIKE' } }, perPage: 5 });
+  await cachedTable.update('1', { title: 'Fresh pudding' });
+  console.log(await cachedTable.get('1'));
+
+  await db.transaction(async (tx) => {
+    await tx.getTable('cached_posts').update('2', { title: 'Fresh cake' });
+    console.log(await tx.getTable('cached_posts').get('2'));
+  });
+  console.log(await cachedTable.get('2'));
+
+  // Raw writes that mention the table clear its cache too
+  await db.run("UPDATE cached_posts SET title = 'Raw pudding' WHERE id = '1'", []);
+  console.log(await cachedTable.get('1'));
+  // Only the written table counts, not every word that matches a table name
+  const queriesBefore = cacheQueries;
+  await db.run("UPDATE tinytest SET prompt = 'cached_posts' WHERE id = 'none'", []);
+  await cachedTable.get('1');
+  console.log(`Cache kept after an unrelated write: ${cacheQueries === queriesBefore}`);
+
+  removeCounter();
+  console.table({ ...cachedTable.getCacheStats(), queries: cacheQueries });
+  await db.dropTable('cached_posts');
+
+  // 📦 Batching Test
+  console.log('\n📦 \x1b[1mBatched get/has: batched_posts\x1b[0m\n');
+  const batchQueries = [];
+  const removeBatchLog = db.use(async (ctx, next) => {
+    if (ctx.table === 'batched_posts' && ctx.method !== 'run')
+      batchQueries.push({ debugName: ctx.debugName, params: ctx.params.join(', ') });
+    await next();
+  });
+  const batchedTable = await db.initTable(
+    { name: 'batched_posts', id: 'id', batch: { maxSize: 2 } },
+    [
+      ['id', 'TEXT', 'PRIMARY KEY'],
+      ['title', 'TEXT'],
+      ['meta', 'JSON'],
+    ],
+  );
+  await batchedTable.set('1', { title: 'Batched pudding', meta: { likes: 3 } });
+  await batchedTable.set('2', { title: 'Batched cake', meta: { likes: 5 } });
+
+  console.log(
+    await Promise.all([
+      batchedTable.get('1'),
+      batchedTable.get('2'),
+      batchedTable.get('1'),
+      batchedTable.get('missing'),
+    ]),
+  );
+  console.log(await Promise.all([batchedTable.has('2'), batchedTable.has('missing')]));
+
+  removeBatchLog();
+  console.table(batchQueries);
+  await db.dropTable('batched_posts');
+
+  // 📝 Logger Test
+  console.log('\n📝 \x1b[1mNDJSON logger: logged_posts\x1b[0m\n');
+  const logDir = mkdtempSync(path.join(tmpdir(), 'puddysql-'));
+  const logFile = path.join(logDir, 'sql.ndjson');
+  db.setLogger(
+    PuddySql.Loggers.createFileLogger({ filePath: logFile, maxSize: 1024, maxFiles: 2 }),
+  );
+  db.setIsDebug(true);
+
+  const loggedTable = await db.initTable({ name: 'logged_posts', id: 'id' }, [
+    ['id', 'TEXT', 'PRIMARY KEY'],
+    ['title', 'TEXT'],
+  ]);
+  for (let i = 1; i <= 5; i++) await loggedTable.set(String(i), { title: `Logged pudding ${i}` });
+  await db.run('SELECT * FROM missing_table', []).catch(() => {});
+  await db.dropTable('logged_posts');
+
+  db.setIsDebug(false);
+  await db.transaction(async (tx) => tx.log('info', 'Transaction record'));
+  new PuddySql.Testing.MockEngine({ owner: db }).log('info', 'Mock record');
+  db.setLogger(null);
+  console.log('Log files:', readdirSync(logDir).sort());
+  console.table(
+    readFileSync(logFile, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line))
+      .map(({ level, message, id, debugName, durationMs, result }) => ({
+        level,
+        message,
+        id,
+        debugName,
+        durationMs: typeof durationMs === 'number' ? durationMs.toFixed(2) : '',
+        rowCount: result?.rowCount ?? '',
+      })),
+  );
+  rmSync(logDir, { recursive: true, force: true });
+
   // 🏷️ Tags Test
   console.log('\n🏷️ \x1b[1mCreating tagged_posts table...\x1b[0m\n');
   const tagTable = await db.initTable({ name: 'tagged_posts', id: 'id' }, [
@@ -166,6 +904,27 @@ const db = new PuddySql.Instance();
     }),
   );
 
+  console.log('\n🌊 \x1b[34mIterate: has tag "cute" (batches of 2)\x1b[0m\n');
+  const iterateLog = [];
+  const removeIterateLog = db.use(async (ctx, next) => {
+    if (ctx.debugName === 'iterate') iterateLog.push(ctx.params.join(', '));
+    await next();
+  });
+  const iterated = [];
+  for await (const post of tagTable.iterate(
+    { tagsQ: { column: 'tags', include: ['cute'] }, select: ['id', 'tags'] },
+    { batchSize: 2 },
+  ))
+    iterated.push({ id: post.id, tags: post.tags.join(', ') });
+  removeIterateLog();
+  console.table(iterated);
+  console.log('Batch params:', iterateLog);
+  try {
+    await tagTable.iterate({ join: { table: 'tagged_posts', compare: 't.id = j1.id' } }).next();
+  } catch (err) {
+    console.log(`${err.name}: ${err.message}`);
+  }
+
   console.log('\n🧠 \x1b[34mAdvanced Tag Search: cute AND not serious\x1b[0m\n');
   console.table(
     await tagTable.search({